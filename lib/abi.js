@@ -0,0 +1,174 @@
+// Normalized ABI of a built contract. ink! metadata refers to types by id into
+// a registry and nests the storage layout; here types are resolved to Rust
+// style names ("Mapping<H160, U256>", "Result<(), Error>") and the storage
+// layout is flattened into one entry per stored field.
+
+class AbiError extends Error {}
+
+function formatDocs(docs) {
+  return (docs || []).map(line => line.trim()).join('\n').trim();
+}
+
+function createTypeResolver(types) {
+  const byId = new Map(types.map(entry => [entry.id, entry.type]));
+  const names = new Map();
+
+  function resolve(id) {
+    if (names.has(id)) return names.get(id);
+    const type = byId.get(id);
+    if (!type) return `<unknown type ${id}>`;
+
+    const def = type.def;
+    let name;
+    if (def.primitive) {
+      name = def.primitive;
+    } else if (def.sequence) {
+      name = `Vec<${resolve(def.sequence.type)}>`;
+    } else if (def.array) {
+      name = `[${resolve(def.array.type)}; ${def.array.len}]`;
+    } else if (def.tuple) {
+      name = `(${def.tuple.map(resolve).join(', ')})`;
+    } else if (def.compact) {
+      name = `Compact<${resolve(def.compact.type)}>`;
+    } else {
+      // Composite and variant types go by their path, with resolved generics
+      const base = type.path && type.path.length ? type.path[type.path.length - 1] : `<anonymous type ${id}>`;
+      const params = (type.params || []).filter(param => param.type !== undefined && param.type !== null);
+      name = params.length ? `${base}<${params.map(param => resolve(param.type)).join(', ')}>` : base;
+    }
+    names.set(id, name);
+    return name;
+  }
+
+  return { resolve, byId };
+}
+
+function formatArgs(args, resolve) {
+  return (args || []).map(arg => ({
+    name: arg.label,
+    type: resolve(arg.type.type),
+    displayName: (arg.type.displayName || []).join('::') || null
+  }));
+}
+
+function formatReturnType(returnType, resolve) {
+  return returnType && returnType.type !== undefined ? resolve(returnType.type) : null;
+}
+
+// Structs and enums declared by the contract crate itself, e.g. its Error enum
+function formatTypes(types, crateName, resolve) {
+  const declared = {};
+  for (const { id, type } of types) {
+    if (!type.path || type.path[0] !== crateName) continue;
+    const fields = (list) => (list || []).map(field => ({ name: field.name || null, type: resolve(field.type) }));
+
+    if (type.def.composite) {
+      declared[resolve(id)] = { path: type.path.join('::'), kind: 'struct', fields: fields(type.def.composite.fields), docs: formatDocs(type.docs) };
+    } else if (type.def.variant) {
+      declared[resolve(id)] = {
+        path: type.path.join('::'),
+        kind: 'enum',
+        variants: (type.def.variant.variants || []).map(variant => ({
+          name: variant.name,
+          index: variant.index,
+          fields: fields(variant.fields),
+          docs: formatDocs(variant.docs)
+        })),
+        docs: formatDocs(type.docs)
+      };
+    }
+  }
+  return declared;
+}
+
+// One entry per stored value with its storage key. Mappings and Lazy fields
+// live under their own root key, plain fields share the contract's root.
+function flattenLayout(layout, pathName, key, resolve, entries) {
+  if (layout.root) {
+    const rootKey = layout.root.root_key;
+    const type = layout.root.ty !== undefined ? resolve(layout.root.ty) : null;
+    if (type && /^(Mapping|Lazy|StorageVec)</.test(type)) {
+      entries.push({ path: pathName, key: rootKey, type, kind: type.slice(0, type.indexOf('<')).toLowerCase() });
+      return entries;
+    }
+    return flattenLayout(layout.root.layout, pathName, rootKey, resolve, entries);
+  }
+  if (layout.leaf) {
+    entries.push({ path: pathName, key: layout.leaf.key || key, type: resolve(layout.leaf.ty), kind: 'value' });
+  } else if (layout.struct) {
+    for (const field of layout.struct.fields) {
+      flattenLayout(field.layout, pathName ? `${pathName}.${field.name}` : field.name, key, resolve, entries);
+    }
+  } else if (layout.enum) {
+    for (const variant of Object.values(layout.enum.variants)) {
+      for (const field of variant.fields) {
+        flattenLayout(field.layout, `${pathName}::${variant.name}.${field.name}`, key, resolve, entries);
+      }
+    }
+  } else if (layout.array) {
+    flattenLayout(layout.array.layout, `${pathName}[${layout.array.len}]`, key, resolve, entries);
+  } else if (layout.hash) {
+    flattenLayout(layout.hash.layout, `${pathName}[#]`, key, resolve, entries);
+  }
+  return entries;
+}
+
+function normalizeAbi(rawMetadata) {
+  // Metadata before ink! 4 wraps everything but the source in "V3"
+  const metadata = rawMetadata.V3 ? { ...rawMetadata, ...rawMetadata.V3 } : rawMetadata;
+  if (!metadata.spec || !Array.isArray(metadata.types)) {
+    throw new AbiError("Unsupported metadata format");
+  }
+
+  const { resolve } = createTypeResolver(metadata.types);
+  const contract = metadata.contract || {};
+  const source = metadata.source || {};
+  const spec = metadata.spec;
+
+  return {
+    name: contract.name || null,
+    version: contract.version || null,
+    metadataVersion: metadata.version !== undefined ? Number(metadata.version) : 3,
+    language: source.language || null,
+    compiler: source.compiler || null,
+    codeHash: source.hash || null,
+    docs: formatDocs(spec.docs),
+    constructors: spec.constructors.map(constructor => ({
+      name: constructor.label,
+      selector: constructor.selector,
+      payable: Boolean(constructor.payable),
+      default: Boolean(constructor.default),
+      args: formatArgs(constructor.args, resolve),
+      returnType: formatReturnType(constructor.returnType, resolve),
+      docs: formatDocs(constructor.docs)
+    })),
+    messages: spec.messages.map(message => ({
+      name: message.label,
+      selector: message.selector,
+      mutates: Boolean(message.mutates),
+      payable: Boolean(message.payable),
+      default: Boolean(message.default),
+      args: formatArgs(message.args, resolve),
+      returnType: formatReturnType(message.returnType, resolve),
+      docs: formatDocs(message.docs)
+    })),
+    events: (spec.events || []).map(event => ({
+      name: event.label,
+      modulePath: event.module_path || null,
+      // Topic 0 of the event unless it's anonymous
+      signatureTopic: event.signature_topic || null,
+      fields: (event.args || []).map(arg => ({
+        name: arg.label,
+        type: resolve(arg.type.type),
+        indexed: Boolean(arg.indexed),
+        docs: formatDocs(arg.docs)
+      })),
+      topics: (event.args || []).filter(arg => arg.indexed).map(arg => arg.label),
+      docs: formatDocs(event.docs)
+    })),
+    types: formatTypes(metadata.types, (contract.name || "").replace(/-/g, '_'), resolve),
+    storage: metadata.storage ? flattenLayout(metadata.storage, "", null, resolve, []) : []
+  };
+}
+
+module.exports = { AbiError, normalizeAbi };
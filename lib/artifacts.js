@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+
+// Artifacts produced by `pop build`: the .contract bundle, the .polkavm/.wasm
+// binary and the metadata JSON, named after the package.
+
+// cargo normalizes dashes in package names for the artifact file names
+function getArtifactName(contractName) {
+  return contractName.replace(/-/g, '_');
+}
+
+// Directory in the target dir where `pop build` put a contract's artifacts
+function findArtifactDir(targetDir, contractName) {
+  const artifactName = getArtifactName(contractName);
+  return [path.join(targetDir, "ink", artifactName), path.join(targetDir, "ink")]
+    .find(dir => fs.existsSync(path.join(dir, `${artifactName}.json`))) || null;
+}
+
+// Collect the artifacts of a contract from a target dir. When destDir is
+// given the files are copied there so they outlive the shared target dir.
+function collectArtifacts(targetDir, contractName, destDir) {
+  const artifactDir = findArtifactDir(targetDir, contractName);
+  return artifactDir ? readArtifacts(artifactDir, contractName, destDir) : null;
+}
+
+// Read the artifacts of a contract from a directory (optionally copying them)
+function readArtifacts(artifactDir, contractName, destDir) {
+  const artifactName = getArtifactName(contractName);
+  if (!fs.existsSync(path.join(artifactDir, `${artifactName}.json`))) {
+    return null;
+  }
+
+  if (destDir) {
+    fs.mkdirSync(destDir, { recursive: true });
+  }
+
+  const files = [];
+  let metadata = null;
+  let bytecode = null;
+
+  for (const ext of ['.contract', '.polkavm', '.wasm', '.json']) {
+    const fileName = `${artifactName}${ext}`;
+    const filePath = path.join(artifactDir, fileName);
+    if (!fs.existsSync(filePath)) continue;
+
+    const content = fs.readFileSync(filePath);
+    if (ext === '.json') {
+      metadata = JSON.parse(content.toString());
+    } else if (ext !== '.contract') {
+      bytecode = '0x' + content.toString('hex');
+    }
+
+    if (destDir) {
+      fs.writeFileSync(path.join(destDir, fileName), content);
+    }
+    files.push({ name: fileName, size: content.length });
+  }
+
+  return {
+    codeHash: metadata && metadata.source ? metadata.source.hash : null,
+    metadata,
+    bytecode,
+    files
+  };
+}
+
+module.exports = { getArtifactName, findArtifactDir, collectArtifacts, readArtifacts };
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// API key authentication. Keys come from API_KEYS_FILE, a JSON list of
+// { "name": "ide", "key": "...", "roles": ["compile"] } entries. Roles:
+//   compile - compile endpoints, compile jobs and cache status
+//   deploy  - contract creation, build and deployment
+//   admin   - everything, including other clients' jobs and cache management
+
+const ROLES = ["compile", "deploy", "admin"];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function loadApiKeys(file = process.env.API_KEYS_FILE) {
+  if (!file) {
+    return [];
+  }
+
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} must contain a list of API keys`);
+  }
+
+  return entries.map(({ name, key, roles }, index) => {
+    if (!name || typeof key !== 'string' || key.length < 16) {
+      throw new Error(`API key #${index + 1} needs a name and a key of at least 16 characters`);
+    }
+    const unknownRole = (roles || []).find(role => !ROLES.includes(role));
+    if (!Array.isArray(roles) || roles.length === 0 || unknownRole) {
+      throw new Error(`API key ${name} has invalid roles (allowed: ${ROLES.join(", ")})`);
+    }
+    return { name, roles, keyHash: hashKey(key) };
+  });
+}
+
+// Build the auth middleware. With `disabled` every request acts as an admin.
+function createAuth(apiKeys, { disabled = false } = {}) {
+  const anonymous = { name: "anonymous", roles: ["admin"], anonymous: true };
+
+  function findClient(key) {
+    const keyHash = hashKey(key);
+    return apiKeys.find(client => crypto.timingSafeEqual(client.keyHash, keyHash)) || null;
+  }
+
+  // Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>". EventSource
+  // can't set headers, so GET requests may pass ?access_token=<key> instead.
+  function getRequestKey(req) {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length).trim();
+    }
+    if (req.get('X-API-Key')) {
+      return req.get('X-API-Key');
+    }
+    if (req.method === 'GET' && typeof req.query.access_token === 'string') {
+      return req.query.access_token;
+    }
+    return null;
+  }
+
+  function authenticate(req, res, next) {
+    if (disabled) {
+      req.client = anonymous;
+      return next();
+    }
+
+    const key = getRequestKey(req);
+    const client = key ? findClient(key) : null;
+    if (!client) {
+      res.header('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: key ? "Invalid API key" : "API key required" });
+    }
+
+    req.client = client;
+    next();
+  }
+
+  function hasRole(client, role) {
+    return client.roles.includes("admin") || client.roles.includes(role);
+  }
+
+  // Route middleware - authenticates and checks the role in one go
+  function requireRole(role) {
+    return (req, res, next) => authenticate(req, res, () => {
+      if (!hasRole(req.client, role)) {
+        return res.status(403).json({ error: `API key ${req.client.name} lacks the ${role} role` });
+      }
+      next();
+    });
+  }
+
+  // Clients only see their own jobs, admins see all of them
+  function canAccessJob(client, job) {
+    return hasRole(client, "admin") || job.owner === client.name;
+  }
+
+  return { authenticate, requireRole, hasRole, canAccessJob };
+}
+
+module.exports = { ROLES, loadApiKeys, createAuth };
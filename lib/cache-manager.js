@@ -0,0 +1,247 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+// Disk usage and eviction of the build caches: cargo's registry and git
+// checkouts in the shared CARGO_HOME, the target dirs (warm caches and the
+// pool's leased dirs) and the result cache.
+//
+// Eviction keeps the total under a size budget. Stale entries go first - warm
+// caches and target dirs of another toolchain, which no build uses again -
+// then the least recently used target dirs, warm caches and results until the
+// total fits. Anything in use by a running build or warm-up is skipped. The
+// registry and git checkouts are only removed by an explicit purge, builds
+// run offline and need them.
+
+const CACHE_CATEGORIES = ['registry', 'git', 'target', 'results'];
+const USAGE_MAX_AGE_MS = 60 * 1000; // How long recentUsage() reuses a measurement
+
+class CacheError extends Error {}
+
+// Disk usage in bytes of each directory, 0 for missing ones, from one `du`
+// call. du still reports the others when one vanishes while it runs.
+function measureDirs(dirs) {
+  const existing = dirs.filter(dir => fs.existsSync(dir));
+  if (existing.length === 0) {
+    return Promise.resolve(dirs.map(() => 0));
+  }
+  return new Promise((resolve) => {
+    execFile('du', ['-sk', ...existing], { maxBuffer: 1024 * 1024 }, (error, stdout) => {
+      const sizes = new Map();
+      for (const line of (stdout || '').split('\n')) {
+        const match = line.match(/^(\d+)\t(.*)$/);
+        if (match) sizes.set(match[2], parseInt(match[1], 10) * 1024);
+      }
+      resolve(dirs.map(dir => sizes.get(dir) || 0));
+    });
+  });
+}
+
+// Remove a directory without blocking: it's renamed away at once (so nothing
+// picks it up any more) and deleted in the background
+function removeDir(dir) {
+  if (!fs.existsSync(dir)) return;
+  const trash = `${dir}.evicted_${Date.now()}`;
+  fs.renameSync(dir, trash);
+  fs.promises.rm(trash, { recursive: true, force: true }).catch(error => {
+    console.warn(`Failed to remove ${trash}:`, error.message);
+  });
+}
+
+function toTime(isoDate) {
+  return isoDate ? new Date(isoDate).getTime() : 0;
+}
+
+class CacheManager {
+  constructor({ compiler, resultCache, budgetBytes }) {
+    this.compiler = compiler;
+    this.resultCache = resultCache;
+    this.budgetBytes = budgetBytes;
+    this.pending = Promise.resolve(); // Evictions and purges run one at a time
+    this.lastUsage = null; // The latest usage() result
+    this.measuring = null; // Promise of the usage() running right now
+  }
+
+  serialize(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  // Usage of each category, with the warm caches, target dirs and results it
+  // consists of. Sizes are in bytes. Calls made while one runs share it.
+  usage() {
+    if (!this.measuring) {
+      this.measuring = this.measure().then(usage => {
+        this.lastUsage = usage;
+        return usage;
+      }).finally(() => {
+        this.measuring = null;
+      });
+    }
+    return this.measuring;
+  }
+
+  // The latest usage() if it's recent enough, for the status endpoints - the
+  // periodic eviction run and the one after each warm-up measure anyway
+  recentUsage() {
+    const { lastUsage } = this;
+    if (lastUsage && Date.now() - new Date(lastUsage.measuredAt).getTime() <= USAGE_MAX_AGE_MS) {
+      return Promise.resolve(lastUsage);
+    }
+    return this.usage();
+  }
+
+  async measure() {
+    const { compiler, resultCache } = this;
+    const measuredAt = new Date().toISOString();
+    const warms = compiler.listWarmCaches();
+    const slots = compiler.targets.slots();
+    const [registryBytes, gitBytes, ...targetBytes] = await measureDirs([
+      path.join(compiler.cargoHome, "registry"),
+      path.join(compiler.cargoHome, "git"),
+      ...warms.map(warm => warm.dir),
+      ...slots.map(slot => slot.dir)
+    ]);
+
+    const warmCaches = warms.map((warm, i) => ({ ...warm, bytes: targetBytes[i] }));
+    const targetDirs = slots.map((slot, i) => ({ ...slot, bytes: targetBytes[warms.length + i] }));
+    const target = {
+      bytes: targetBytes.reduce((sum, bytes) => sum + bytes, 0),
+      warmCaches,
+      targetDirs
+    };
+
+    const entries = resultCache.list();
+    const results = {
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      entries
+    };
+
+    return {
+      totalBytes: registryBytes + gitBytes + target.bytes + results.bytes,
+      budgetBytes: this.budgetBytes,
+      measuredAt,
+      registry: { bytes: registryBytes },
+      git: { bytes: gitBytes },
+      target,
+      results
+    };
+  }
+
+  // Everything eviction may remove, stale first, then least recently used first
+  evictionCandidates(usage) {
+    const { compiler, resultCache } = this;
+    const candidates = [];
+    const seedsInUse = compiler.targets.seeding;
+
+    for (const warm of usage.target.warmCaches) {
+      if (warm.warming || seedsInUse.has(warm.dir)) continue;
+      // A warm cache is in use as long as target dirs seeded from it are
+      const lastUsed = Math.max(toTime(warm.warmedAt), ...usage.target.targetDirs
+        .filter(slot => slot.warmCache === warm.key)
+        .map(slot => toTime(slot.lastUsedAt)));
+      candidates.push({
+        kind: 'warm_cache',
+        id: warm.key,
+        bytes: warm.bytes,
+        stale: warm.stale,
+        lastUsed,
+        remove: () => removeDir(warm.dir)
+      });
+    }
+
+    const toolchainHash = compiler.toolchainHash();
+    for (const slot of usage.target.targetDirs) {
+      if (slot.leased || slot.bytes === 0) continue;
+      candidates.push({
+        kind: 'target_dir',
+        id: String(slot.slot),
+        bytes: slot.bytes,
+        stale: Boolean(slot.warmCache) && !slot.warmCache.endsWith(`-${toolchainHash}`),
+        lastUsed: toTime(slot.lastUsedAt),
+        remove: () => compiler.targets.evict(slot.slot)
+      });
+    }
+
+    for (const entry of usage.results.entries) {
+      candidates.push({
+        kind: 'result',
+        id: entry.hash,
+        bytes: entry.size,
+        stale: false,
+        lastUsed: toTime(entry.lastHitAt || entry.createdAt),
+        remove: () => resultCache.delete(entry.hash)
+      });
+    }
+
+    return candidates.sort((a, b) => (b.stale - a.stale) || (a.lastUsed - b.lastUsed));
+  }
+
+  // Evict stale entries, then old ones until the caches fit the budget.
+  // Resolves with what was removed and the total before and after.
+  evict(budgetBytes = this.budgetBytes) {
+    return this.serialize(async () => {
+      const usage = await this.usage();
+      let totalBytes = usage.totalBytes;
+      const evicted = [];
+
+      for (const candidate of this.evictionCandidates(usage)) {
+        if (!candidate.stale && totalBytes <= budgetBytes) break;
+        if (candidate.remove() === false) continue; // Leased meanwhile
+        totalBytes -= candidate.bytes;
+        evicted.push({ kind: candidate.kind, id: candidate.id, bytes: candidate.bytes, stale: candidate.stale });
+      }
+
+      return { budgetBytes, totalBytesBefore: usage.totalBytes, totalBytes, evicted };
+    });
+  }
+
+  // Remove one category entirely. Target dirs in use are kept (and reported
+  // as skipped); the registry and git checkouts only go while no build runs.
+  purge(category) {
+    if (!CACHE_CATEGORIES.includes(category)) {
+      throw new CacheError(`Unknown cache category ${category} (one of: ${CACHE_CATEGORIES.join(", ")})`);
+    }
+
+    return this.serialize(async () => {
+      const { compiler, resultCache } = this;
+      const usage = await this.usage();
+      const skipped = [];
+
+      if (category === 'registry' || category === 'git') {
+        const pool = compiler.targets.describe();
+        if (pool.leased > 0 || compiler.warming.size > 0) {
+          throw new CacheError(`Builds are running - the ${category} cache can only be purged while idle`);
+        }
+        removeDir(path.join(compiler.cargoHome, category));
+        return { category, freedBytes: usage[category].bytes, skipped };
+      }
+
+      if (category === 'results') {
+        resultCache.purge();
+        return { category, freedBytes: usage.results.bytes, skipped };
+      }
+
+      let freedBytes = 0;
+      for (const warm of usage.target.warmCaches) {
+        if (warm.warming || compiler.targets.seeding.has(warm.dir)) {
+          skipped.push({ kind: 'warm_cache', id: warm.key });
+          continue;
+        }
+        removeDir(warm.dir);
+        freedBytes += warm.bytes;
+      }
+      for (const slot of usage.target.targetDirs) {
+        if (!compiler.targets.evict(slot.slot)) {
+          skipped.push({ kind: 'target_dir', id: String(slot.slot) });
+          continue;
+        }
+        freedBytes += slot.bytes;
+      }
+      return { category, freedBytes, skipped };
+    });
+  }
+}
+
+module.exports = { CACHE_CATEGORIES, CacheError, CacheManager };
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+const { DevNode } = require("./dev-node");
+
+// Named local dev chains managed by the server. Every chain keeps its state in
+// <dir>/<name>, so a stopped chain continues where it left off when started
+// again, while a reset starts over from genesis. Chains found on disk after a
+// restart are listed as stopped.
+
+const CHAIN_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const CHAIN_STATUS = {
+  STARTING: 'starting',
+  RUNNING: 'running',
+  STOPPING: 'stopping',
+  STOPPED: 'stopped',
+  CRASHED: 'crashed' // Exited without being stopped
+};
+
+class ChainError extends Error {}
+
+class ChainManager {
+  constructor(dir, { maxRunning = 3 } = {}) {
+    this.dir = dir;
+    this.maxRunning = maxRunning;
+    this.chains = new Map(); // name -> { name, node, status, createdAt, error }
+    fs.mkdirSync(dir, { recursive: true });
+
+    for (const name of fs.readdirSync(dir)) {
+      if (CHAIN_NAME_PATTERN.test(name)) {
+        this.create(name, fs.statSync(path.join(dir, name)).birthtime.toISOString());
+      }
+    }
+  }
+
+  create(name, createdAt = new Date().toISOString()) {
+    const chain = {
+      name,
+      node: new DevNode({ basePath: path.join(this.dir, name) }),
+      status: CHAIN_STATUS.STOPPED,
+      createdAt,
+      error: null
+    };
+    chain.node.on('exit', (exit) => {
+      if (chain.status !== CHAIN_STATUS.STOPPING && chain.status !== CHAIN_STATUS.STARTING) {
+        chain.status = CHAIN_STATUS.CRASHED;
+        chain.error = `Node exited unexpectedly (code ${exit.code}, signal ${exit.signal})`;
+      }
+    });
+    this.chains.set(name, chain);
+    return chain;
+  }
+
+  get(name) {
+    return this.chains.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.chains.values());
+  }
+
+  isActive(chain) {
+    return chain.status === CHAIN_STATUS.STARTING || chain.status === CHAIN_STATUS.RUNNING;
+  }
+
+  // Start a chain, creating it first if it doesn't exist yet
+  async start(name) {
+    if (!CHAIN_NAME_PATTERN.test(name || "")) {
+      throw new ChainError("Chain names must be 1-32 lowercase letters, digits, - or _");
+    }
+
+    const existing = this.get(name);
+    if (existing && (this.isActive(existing) || existing.status === CHAIN_STATUS.STOPPING)) {
+      throw new ChainError(`Chain ${name} is ${existing.status}`);
+    }
+    if (this.list().filter(other => this.isActive(other)).length >= this.maxRunning) {
+      throw new ChainError(`At most ${this.maxRunning} chains can run at the same time`);
+    }
+
+    const chain = existing || this.create(name);
+
+    chain.status = CHAIN_STATUS.STARTING;
+    chain.error = null;
+    try {
+      await chain.node.start();
+      chain.status = CHAIN_STATUS.RUNNING;
+    } catch (error) {
+      chain.status = CHAIN_STATUS.CRASHED;
+      chain.error = error.message;
+      throw error;
+    }
+    return chain;
+  }
+
+  async stop(name) {
+    const chain = this.get(name);
+    if (chain && chain.node.running) {
+      chain.status = CHAIN_STATUS.STOPPING;
+      await chain.node.stop();
+    }
+    if (chain) chain.status = CHAIN_STATUS.STOPPED;
+    return chain;
+  }
+
+  // Wipe the chain's state and start it again from genesis
+  async reset(name) {
+    const chain = await this.stop(name);
+    fs.rmSync(path.join(this.dir, name), { recursive: true, force: true });
+    chain.node.logs = [];
+    return this.start(name);
+  }
+
+  async remove(name) {
+    await this.stop(name);
+    fs.rmSync(path.join(this.dir, name), { recursive: true, force: true });
+    this.chains.delete(name);
+  }
+
+  // Chains run in their own process groups and would outlive the server
+  stopAll() {
+    return Promise.all(this.list().map(chain => this.stop(chain.name)));
+  }
+}
+
+module.exports = { CHAIN_NAME_PATTERN, CHAIN_STATUS, ChainError, ChainManager };
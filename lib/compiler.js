@@ -0,0 +1,509 @@
+const { execFileSync, spawn } = require("child_process");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { ResultCache } = require("./result-cache");
+const { DEFAULT_INK_VERSION, generateCargoToml, generateManifests } = require("./manifest");
+const { writeProjectFiles } = require("./project-files");
+const { getDiagnosticsEnv, readDiagnostics, summarizeDiagnostics, parseRustErrors } = require("./diagnostics");
+const { findArtifactDir, readArtifacts } = require("./artifacts");
+const { killProcessTree } = require("./process-tree");
+const { WARM_FILE, TargetPool } = require("./target-pool");
+const { runTests } = require("./test-runner");
+
+// The one compilation pipeline behind /compile, /compile-stream, /check,
+// /test, compile, check and test jobs and cache warming. Routes only adapt
+// it: a Compilation reports progress as events ('status', 'stdout',
+// 'stderr', 'process', and 'test' for each finished test) and resolves with
+// the same result for every endpoint, which the route turns into a JSON
+// response, job status and logs, or server-sent events.
+//
+// Steps: result cache lookup, project dir with Cargo.toml and the submitted
+// files, a target dir leased from the pool, dependency fetch and sandbox
+// setup, `pop build`, `cargo check` or the unit tests (lib/test-runner.js)
+// under the sandbox limits with a disk watch and timeout, then diagnostics,
+// artifacts and storing the result in the cache, and cleanup.
+
+const CARGO = '/root/.cargo/bin/cargo';
+const RUSTC = '/root/.cargo/bin/rustc';
+const COMPILE_TIMEOUT_MS = 300000; // 5 minute timeout
+const WARM_TIMEOUT_MS = 600000; // 10 minute timeout
+
+// What each type of compilation runs; entries without a command are pop
+// subcommands. Tests run two commands, see runTests.
+const COMPILE_COMMANDS = {
+  compile: { args: ['build'], message: 'Starting compilation...' },
+  check: { command: CARGO, args: ['check'], message: 'Starting type-check...' },
+  test: { message: 'Building tests...' }
+};
+
+// Minimal contract built to warm up the cache
+const WARMUP_CONTRACT = `#![cfg_attr(not(feature = "std"), no_std, no_main)]
+
+#[ink::contract]
+mod warmup {
+    #[ink(storage)]
+    pub struct Warmup { value: u32 }
+
+    impl Warmup {
+        #[ink(constructor)]
+        pub fn new() -> Self { Self { value: 0 } }
+
+        #[ink(message)]
+        pub fn get(&self) -> u32 { self.value }
+    }
+}`;
+
+class Compiler {
+  // Under baseDir: the shared cargo_home, warm/ with one warm cache (target
+  // dir) per ink! version and toolchain, targets/ with the pool's target
+  // dirs and temp/ for project dirs
+  constructor({ baseDir, sandbox, popRunner, resultCache, buildJobs = 4, targetPoolSize = 4 }) {
+    this.baseDir = baseDir;
+    this.cargoHome = path.join(baseDir, "cargo_home");
+    this.warmDir = path.join(baseDir, "warm");
+    this.tempDir = path.join(baseDir, "temp");
+    this.sandbox = sandbox;
+    this.popRunner = popRunner;
+    this.resultCache = resultCache;
+    this.buildJobs = buildJobs;
+    this.targets = new TargetPool({ dir: path.join(baseDir, "targets"), size: targetPoolSize, sandbox });
+    this.warming = new Set(); // Warm cache dirs a warm-up is building right now
+    this.toolchain = null;
+  }
+
+  ensureDirs() {
+    for (const dir of [this.cargoHome, this.warmDir, this.targets.dir, this.tempDir]) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  // rustc, cargo and pop versions - part of the result cache key, looked up once
+  toolchainVersions() {
+    if (!this.toolchain) {
+      const env = { ...process.env, PATH: '/root/.cargo/bin:' + process.env.PATH };
+      this.toolchain = [RUSTC, CARGO, this.popRunner.command].map(command => {
+        try {
+          return execFileSync(command, ['--version'], { encoding: 'utf8', env, timeout: 10000 }).trim();
+        } catch (error) {
+          return `${path.basename(command)} --version: unknown`;
+        }
+      });
+    }
+    return this.toolchain;
+  }
+
+  // Short hash of the toolchain versions; warm caches of another toolchain are stale
+  toolchainHash() {
+    return crypto.createHash('sha256').update(this.toolchainVersions().join('\n')).digest('hex').slice(0, 12);
+  }
+
+  // Warm cache for builds with this manifest: { key, dir, inkVersion }
+  warmCache(manifest = null) {
+    const inkVersion = (manifest && manifest.inkVersion) || DEFAULT_INK_VERSION;
+    const key = `ink-${inkVersion.replace(/[^A-Za-z0-9._-]/g, '_')}-${this.toolchainHash()}`;
+    return { key, dir: path.join(this.warmDir, key), inkVersion };
+  }
+
+  // Record a finished warm-up; target dirs seeded from the cache before are
+  // seeded again on their next lease
+  markWarmed(warmCache) {
+    fs.writeFileSync(path.join(warmCache.dir, WARM_FILE), JSON.stringify({
+      key: warmCache.key,
+      inkVersion: warmCache.inkVersion,
+      toolchain: this.toolchainVersions(),
+      warmedAt: new Date().toISOString()
+    }, null, 2));
+  }
+
+  // Every warm cache on disk with what it was warmed for. `stale` ones were
+  // built by another toolchain and are never used again.
+  listWarmCaches() {
+    if (!fs.existsSync(this.warmDir)) {
+      return [];
+    }
+    const toolchainHash = this.toolchainHash();
+    return fs.readdirSync(this.warmDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name.startsWith('ink-') && !entry.name.includes('.evicted_'))
+      .map(entry => {
+        const dir = path.join(this.warmDir, entry.name);
+        let warm = null;
+        try {
+          warm = JSON.parse(fs.readFileSync(path.join(dir, WARM_FILE), 'utf8'));
+        } catch (error) {
+          // Never finished warming
+        }
+        return {
+          key: entry.name,
+          dir,
+          inkVersion: warm ? warm.inkVersion : null,
+          toolchain: warm ? warm.toolchain : null,
+          warmedAt: warm ? warm.warmedAt : null,
+          warming: this.warming.has(dir),
+          stale: !entry.name.endsWith(`-${toolchainHash}`)
+        };
+      });
+  }
+
+  // Identical source, manifest and toolchain give the same key
+  cacheKey(contractName, files, manifest = null) {
+    const fileParts = Object.keys(files).sort().flatMap(filePath => [filePath, files[filePath]]);
+    return ResultCache.key([...fileParts, generateCargoToml(contractName, manifest || undefined), ...this.toolchainVersions()]);
+  }
+
+  // Result of a cached build, like the one of the build that stored it, or null.
+  // The artifacts are copied to artifactsDir when given.
+  fromCache(cacheKey, contractName, artifactsDir = null) {
+    const cached = this.resultCache.get(cacheKey);
+    if (!cached) {
+      return null;
+    }
+    const diagnostics = cached.diagnostics || [];
+    return {
+      type: 'compile',
+      contractName,
+      success: true,
+      cacheHit: true,
+      cacheKey,
+      exitCode: 0,
+      signal: null,
+      stopReason: null,
+      limitExceeded: null,
+      stdout: cached.logs || '',
+      stderr: cached.warnings || '',
+      diagnostics,
+      summary: summarizeDiagnostics(diagnostics),
+      rustErrors: [],
+      artifacts: readArtifacts(cached.dir, contractName, artifactsDir),
+      testReport: null,
+      projectDir: null,
+      targetLease: null,
+      durationMs: 0
+    };
+  }
+
+  compile(options) {
+    return new Compilation(this, options);
+  }
+
+  // Build the warmup contract into the warm cache of its manifest's ink!
+  // version, so later builds with that version start with the dependencies
+  // compiled. Trusted: it runs as the server with network, e.g. to fetch the
+  // std crates.
+  warm(options = {}) {
+    return this.compile({
+      contractName: "warmup",
+      files: { "lib.rs": WARMUP_CONTRACT },
+      cache: false,
+      timeoutMs: WARM_TIMEOUT_MS,
+      ...options,
+      trusted: true
+    });
+  }
+}
+
+// One compilation. Options:
+//  type          'compile' (pop build), 'check' (cargo check) or 'test' (unit or e2e tests)
+//  cache         reuse a cached result of an identical build (compile only)
+//  cacheKey      precomputed cacheKey(), e.g. of a job
+//  timeoutMs     the build is stopped with reason 'timeout' after this
+//  artifactsDir  copy the artifacts here so they outlive the shared target dir
+//  owner         client the build is for; target dirs are only reused by the same client
+//  env           extra environment of the build, e.g. the node URL of e2e tests
+//  tests         { filter, features, threads, network } of a test run, see runTests
+//  trusted       build outside the sandbox (cache warming only)
+class Compilation extends EventEmitter {
+  constructor(compiler, {
+    type = 'compile',
+    contractName,
+    files,
+    manifest = null,
+    cache = true,
+    cacheKey = null,
+    timeoutMs = COMPILE_TIMEOUT_MS,
+    artifactsDir = null,
+    owner = null,
+    env = {},
+    tests = {},
+    trusted = false
+  }) {
+    super();
+    this.compiler = compiler;
+    this.type = type;
+    this.contractName = contractName;
+    this.files = files;
+    this.manifest = manifest;
+    this.cache = cache;
+    this.cacheKey = cacheKey;
+    this.timeoutMs = timeoutMs;
+    this.artifactsDir = artifactsDir;
+    this.owner = owner;
+    this.env = env;
+    this.tests = tests;
+    this.trusted = trusted;
+    this.projectDir = null;
+    this.manifests = null; // Generated Cargo.toml files, path -> contents
+    this.targetDir = null;
+    this.child = null;
+    this.diskWatch = null;
+    this.diskExceeded = false;
+    this.stopReason = null;
+  }
+
+  // Stop the build, e.g. 'cancelled' or 'disconnected'. The result reports the reason.
+  stop(reason) {
+    if (this.stopReason) return;
+    this.stopReason = reason;
+    if (this.child) killProcessTree(this.child);
+  }
+
+  status(stage, message) {
+    this.emit('status', { stage, message });
+  }
+
+  // Resolves with the result, rejects if the build couldn't be set up or started
+  async run() {
+    const startedAt = Date.now();
+    const { compiler } = this;
+    const cacheKey = this.type === 'compile' && !this.trusted
+      ? this.cacheKey || compiler.cacheKey(this.contractName, this.files, this.manifest)
+      : null;
+
+    if (cacheKey && this.cache) {
+      const cached = compiler.fromCache(cacheKey, this.contractName, this.artifactsDir);
+      if (cached) {
+        this.status('cache', `Reusing cached build ${cacheKey}`);
+        return { ...cached, durationMs: Date.now() - startedAt };
+      }
+    }
+
+    this.status('setup', 'Setting up compilation environment...');
+    compiler.ensureDirs();
+    // Trusted builds warm the cache the pool's target dirs are seeded from
+    const warmCache = compiler.warmCache(this.manifest);
+    let lease = null;
+    if (this.trusted) {
+      if (compiler.warming.has(warmCache.dir)) {
+        throw new Error(`The warm cache for ink! ${warmCache.inkVersion} is already being warmed`);
+      }
+      compiler.warming.add(warmCache.dir);
+      fs.mkdirSync(warmCache.dir, { recursive: true });
+      this.targetDir = warmCache.dir;
+    } else {
+      lease = await compiler.targets.acquire({
+        seed: warmCache,
+        owner: this.owner,
+        onWait: (position) => this.status('queue', `All build directories in use - waiting (position ${position})...`)
+      });
+      this.targetDir = lease.dir;
+      if (lease.seeded) {
+        this.status('setup', `Seeded build directory ${lease.slot} from warm cache ${warmCache.key}`);
+      }
+    }
+
+    let result;
+    try {
+      this.projectDir = fs.mkdtempSync(path.join(compiler.tempDir, `${this.contractName}_${this.type}_`));
+      this.status('project', 'Creating project structure...');
+      this.manifests = generateManifests(this.contractName, this.manifest || undefined);
+      writeProjectFiles(this.projectDir, this.manifests);
+      writeProjectFiles(this.projectDir, this.files);
+
+      if (!this.trusted && !compiler.sandbox.disabled) {
+        this.status('dependencies', 'Fetching dependencies...');
+      }
+      const env = await this.environment();
+
+      this.status('compile', COMPILE_COMMANDS[this.type].message);
+      const { code, signal, stdout, stderr, diskExceeded, testReport } = await this.execute(env);
+      const diagnostics = readDiagnostics(this.projectDir);
+      const success = code === 0 && !this.stopReason;
+
+      result = {
+        type: this.type,
+        contractName: this.contractName,
+        success,
+        cacheHit: false,
+        cacheKey,
+        exitCode: code,
+        signal,
+        stopReason: this.stopReason,
+        limitExceeded: success || this.stopReason || this.trusted
+          ? null
+          : compiler.sandbox.limitExceeded({ signal, output: stderr, diskExceeded }),
+        stdout,
+        stderr,
+        diagnostics,
+        summary: summarizeDiagnostics(diagnostics),
+        rustErrors: success ? [] : parseRustErrors(stderr, this.projectDir),
+        artifacts: null,
+        testReport, // { built, exitCode, signal, tests, summary } of a test run
+        projectDir: this.projectDir,
+        targetLease: null,
+        durationMs: 0
+      };
+      if (success && this.type === 'compile') {
+        // Only a freshly seeded target dir is known to hold nothing an earlier
+        // build put there, so only its artifacts are shared with other clients
+        result.artifacts = this.collectArtifacts(lease && lease.seeded ? cacheKey : null, result);
+      }
+    } finally {
+      if (this.projectDir) {
+        try {
+          fs.rmSync(this.projectDir, { recursive: true, force: true });
+        } catch (cleanupError) {
+          console.warn("Failed to cleanup temp directory:", cleanupError.message);
+        }
+      }
+      if (lease) {
+        lease.release();
+      }
+      if (this.trusted) {
+        if (result && result.success) compiler.markWarmed(warmCache);
+        compiler.warming.delete(warmCache.dir);
+      }
+    }
+
+    result.targetLease = lease ? lease.describe() : null;
+    result.durationMs = Date.now() - startedAt;
+    return result;
+  }
+
+  // Env of the build: sandboxed with a private CARGO_HOME, or for trusted
+  // builds the server's own. Both use the same RUSTC_WRAPPER so the target
+  // dirs seeded from a warm cache reuse its compiled dependencies.
+  async environment() {
+    const { compiler } = this;
+    const vars = {
+      CARGO_TARGET_DIR: this.targetDir,
+      CARGO_INCREMENTAL: "1",
+      ...getDiagnosticsEnv(this.projectDir),
+      CARGO_BUILD_JOBS: String(compiler.buildJobs),
+      ...this.env
+    };
+    if (this.trusted) {
+      return { ...process.env, PATH: '/root/.cargo/bin:' + process.env.PATH, CARGO_HOME: compiler.cargoHome, ...vars };
+    }
+    return compiler.sandbox.env({ ...await compiler.sandbox.prepare(this.projectDir, compiler.cargoHome, this.manifests), ...vars });
+  }
+
+  // Run the build, or the test build and test binaries, under the timeout.
+  // Resolves with { code, signal, stdout, stderr, diskExceeded, testReport }.
+  async execute(env) {
+    const timeoutTimer = setTimeout(() => this.stop('timeout'), this.timeoutMs);
+    try {
+      return this.type === 'test' ? await this.executeTests(env) : await this.executeBuild(env);
+    } finally {
+      clearTimeout(timeoutTimer);
+      this.stopDiskWatch();
+      this.child = null;
+    }
+  }
+
+  // Each process of the build: reported, watched for disk usage and killed
+  // straight away if the build was stopped before it started
+  track(child) {
+    this.child = child;
+    this.emit('process', child);
+    this.stopDiskWatch();
+    if (!this.trusted) {
+      this.diskWatch = this.compiler.sandbox.watchDisk(child, this.projectDir, this.targetDir);
+    }
+    if (this.stopReason) killProcessTree(child);
+  }
+
+  stopDiskWatch() {
+    if (!this.diskWatch) return;
+    this.diskWatch.stop();
+    this.diskExceeded = this.diskExceeded || this.diskWatch.exceeded();
+    this.diskWatch = null;
+  }
+
+  executeBuild(env) {
+    const { sandbox, popRunner } = this.compiler;
+    const { command, args } = COMPILE_COMMANDS[this.type];
+    const options = {
+      cwd: this.projectDir,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true // Own process group so the whole build tree can be killed
+    };
+
+    return new Promise((resolve, reject) => {
+      let child;
+      if (command) {
+        child = this.trusted ? spawn(command, args, options) : sandbox.spawn(command, args, options);
+      } else {
+        child = popRunner.spawn(args, { ...options, sandbox: this.trusted ? null : sandbox });
+      }
+      this.track(child);
+
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', (data) => {
+        const output = data.toString();
+        stdout += output;
+        this.emit('stdout', output);
+      });
+      child.stderr.on('data', (data) => {
+        const output = data.toString();
+        stderr += output;
+        this.emit('stderr', output);
+      });
+
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        this.stopDiskWatch();
+        resolve({ code, signal, stdout, stderr, diskExceeded: this.diskExceeded, testReport: null });
+      });
+    });
+  }
+
+  async executeTests(env) {
+    const { filter, features = [], threads = null, network = false } = this.tests;
+    const output = { stdout: '', stderr: '' };
+    const report = await runTests({
+      cwd: this.projectDir,
+      env,
+      filter,
+      features,
+      threads,
+      network,
+      sandbox: this.trusted ? null : this.compiler.sandbox,
+      onProcess: (child) => this.track(child),
+      onOutput: (type, data) => {
+        output[type] += data;
+        this.emit(type, data);
+      },
+      onTest: (result) => this.emit('test', result)
+    });
+    this.stopDiskWatch();
+    return { code: report.exitCode, signal: report.signal, ...output, diskExceeded: this.diskExceeded, testReport: report };
+  }
+
+  // Artifacts of a successful build from its target dir, stored in the result
+  // cache under cacheKey unless that is null
+  collectArtifacts(cacheKey, result) {
+    const { compiler } = this;
+    try {
+      const artifactDir = findArtifactDir(this.targetDir, this.contractName);
+      const artifacts = artifactDir ? readArtifacts(artifactDir, this.contractName, this.artifactsDir) : null;
+      if (artifacts && cacheKey) {
+        compiler.resultCache.store(cacheKey, artifactDir, {
+          contractName: this.contractName,
+          files: artifacts.files.map(file => file.name),
+          logs: result.stdout,
+          warnings: result.stderr,
+          diagnostics: result.diagnostics
+        });
+      }
+      return artifacts;
+    } catch (artifactError) {
+      this.status('artifacts', `Failed to collect artifacts: ${artifactError.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = { COMPILE_TIMEOUT_MS, WARM_TIMEOUT_MS, Compiler, Compilation };
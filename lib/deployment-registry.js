@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Persistent record of contract deployments: where each contract was
+// instantiated, with which code and constructor arguments and by whom. All
+// deployments are kept in one JSON file, newest last.
+
+class DeploymentRegistry {
+  constructor(file) {
+    this.file = file;
+    this.deployments = [];
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      this.deployments = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      console.warn(`Ignoring unreadable deployment registry ${this.file}:`, error.message);
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves a truncated registry
+  save() {
+    const tempPath = this.file + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(this.deployments, null, 2));
+    fs.renameSync(tempPath, this.file);
+  }
+
+  add(deployment) {
+    const entry = {
+      id: crypto.randomUUID(),
+      deployedAt: new Date().toISOString(),
+      ...deployment
+    };
+    this.deployments.push(entry);
+    this.save();
+    return entry;
+  }
+
+  // Newest first, optionally filtered by contract name, chain and address
+  list({ contract, chain, address } = {}) {
+    return this.deployments
+      .filter(entry => !contract || entry.contractName === contract)
+      .filter(entry => !chain || entry.chain === chain)
+      .filter(entry => !address || entry.address.toLowerCase() === address.toLowerCase())
+      .reverse();
+  }
+
+  // Latest deployment of a contract. `target` narrows it down to a local
+  // chain ({ chain }) or a node URL ({ url }); null url means pop's default.
+  latest(contractName, target = null) {
+    return this.list({ contract: contractName }).find(entry => {
+      if (!target) return true;
+      if (target.chain) return entry.chain === target.chain;
+      return !entry.chain && entry.url === (target.url || null);
+    }) || null;
+  }
+
+  // A reset or removed local chain no longer has any of its contracts
+  removeChain(chain) {
+    const before = this.deployments.length;
+    this.deployments = this.deployments.filter(entry => entry.chain !== chain);
+    if (this.deployments.length !== before) this.save();
+    return before - this.deployments.length;
+  }
+}
+
+module.exports = { DeploymentRegistry };
@@ -0,0 +1,190 @@
+const { spawn } = require("child_process");
+const { EventEmitter } = require("events");
+const net = require("net");
+
+// A local development node (ink-node or substrate-contracts-node) run as a
+// child process. It listens on free ports, so several can run side by side,
+// and is reachable once its RPC server answers system_health.
+// Events: 'log' (line), 'exit' ({ code, signal }).
+
+const DEV_NODE_COMMAND = process.env.DEV_NODE_COMMAND || '/root/.cargo/bin/ink-node';
+const READY_TIMEOUT_MS = parseInt(process.env.DEV_NODE_READY_TIMEOUT_MS || "60000", 10);
+const LOG_LINES = 1000; // Recent output kept per node
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class DevNode extends EventEmitter {
+  // basePath keeps chain state between restarts, without it every start is a fresh chain
+  constructor({ command = DEV_NODE_COMMAND, args = [], basePath = null } = {}) {
+    super();
+    this.command = command;
+    this.args = args;
+    this.basePath = basePath;
+    this.child = null;
+    this.rpcPort = null;
+    this.startedAt = null;
+    this.exit = null; // { code, signal } once the process ended
+    this.logs = [];
+  }
+
+  get running() {
+    return this.child !== null && this.exit === null;
+  }
+
+  get rpcUrl() {
+    return this.rpcPort ? `http://127.0.0.1:${this.rpcPort}` : null;
+  }
+
+  // ink_e2e and pop connect over websockets, served on the same port
+  get wsUrl() {
+    return this.rpcPort ? `ws://127.0.0.1:${this.rpcPort}` : null;
+  }
+
+  log(line) {
+    this.logs.push(line);
+    if (this.logs.length > LOG_LINES) this.logs.shift();
+    this.emit('log', line);
+  }
+
+  // Start the node and resolve once its RPC server is up. Rejects with the
+  // tail of the node's output if it exits or isn't ready in time.
+  async start() {
+    if (this.running) {
+      throw new Error("Node is already running");
+    }
+
+    this.rpcPort = await findFreePort();
+    const p2pPort = await findFreePort();
+    this.exit = null;
+    this.logs = [];
+    this.startedAt = new Date().toISOString();
+
+    const args = [
+      '--dev',
+      `--rpc-port=${this.rpcPort}`,
+      `--port=${p2pPort}`,
+      '--no-prometheus',
+      ...(this.basePath ? [`--base-path=${this.basePath}`] : ['--tmp']),
+      ...this.args
+    ];
+    const child = spawn(this.command, args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true // Own process group so stop() reaches everything it spawned
+    });
+    this.child = child;
+
+    for (const stream of [child.stdout, child.stderr]) {
+      let buffer = '';
+      stream.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => this.log(line));
+      });
+    }
+
+    // A process that fails to spawn may report both
+    child.on('error', (error) => {
+      if (this.exit) return;
+      this.log(`Failed to start ${this.command}: ${error.message}`);
+      this.exit = { code: null, signal: null, error: error.message };
+      this.emit('exit', this.exit);
+    });
+    child.on('exit', (code, signal) => {
+      if (this.exit) return;
+      this.exit = { code, signal };
+      this.emit('exit', this.exit);
+    });
+
+    await this.waitUntilReady();
+  }
+
+  async waitUntilReady() {
+    const deadline = Date.now() + READY_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      if (this.exit) {
+        throw new Error(`Node exited during startup:\n${this.logs.slice(-20).join('\n')}`);
+      }
+      try {
+        await this.rpc('system_health');
+        return;
+      } catch (error) {
+        await delay(500);
+      }
+    }
+    await this.stop();
+    throw new Error(`Node wasn't ready after ${READY_TIMEOUT_MS / 1000}s:\n${this.logs.slice(-20).join('\n')}`);
+  }
+
+  async rpc(method, params = []) {
+    const response = await fetch(this.rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+      signal: AbortSignal.timeout(5000)
+    });
+    const body = await response.json();
+    if (body.error) {
+      throw new Error(body.error.message);
+    }
+    return body.result;
+  }
+
+  // Health and best block of a running node
+  async status() {
+    if (!this.running) {
+      return { running: false, healthy: false, blockHeight: null, peers: null, syncing: null };
+    }
+    try {
+      const [health, header] = await Promise.all([this.rpc('system_health'), this.rpc('chain_getHeader')]);
+      return {
+        running: true,
+        healthy: true,
+        blockHeight: parseInt(header.number, 16),
+        peers: health.peers,
+        syncing: health.isSyncing
+      };
+    } catch (error) {
+      return { running: true, healthy: false, blockHeight: null, peers: null, syncing: null, error: error.message };
+    }
+  }
+
+  // SIGTERM the node's process group, SIGKILL it if it's still up after graceMs
+  stop(graceMs = 5000) {
+    if (!this.running) {
+      return Promise.resolve(this.exit);
+    }
+
+    const child = this.child;
+    const signalGroup = (signal) => {
+      try {
+        process.kill(-child.pid, signal);
+      } catch (error) {
+        child.kill(signal);
+      }
+    };
+
+    return new Promise((resolve) => {
+      const forceKill = setTimeout(() => signalGroup('SIGKILL'), graceMs);
+      this.once('exit', (exit) => {
+        clearTimeout(forceKill);
+        resolve(exit);
+      });
+      signalGroup('SIGTERM');
+    });
+  }
+}
+
+module.exports = { DEV_NODE_COMMAND, DevNode };
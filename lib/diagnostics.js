@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+
+// Structured compiler diagnostics from rustc's JSON messages (collected by
+// bin/rustc-diagnostics). Each diagnostic keeps its severity, code, primary
+// and secondary spans with labels, notes and the suggested fixes.
+
+const RUSTC_WRAPPER = path.join(__dirname, "..", "bin", "rustc-diagnostics");
+
+// rustc's JSON diagnostics of a build are collected in this file in the
+// project dir by bin/rustc-diagnostics, which runs as RUSTC_WRAPPER
+const DIAGNOSTICS_FILE_NAME = ".diagnostics.jsonl";
+
+function getDiagnosticsEnv(projectDir) {
+  return {
+    RUSTC_WRAPPER,
+    DIAGNOSTICS_FILE: path.join(projectDir, DIAGNOSTICS_FILE_NAME)
+  };
+}
+
+// File names inside projectDir are reported relative to it, i.e. as submitted
+function toProjectPath(file, projectDir) {
+  if (projectDir && path.isAbsolute(file) && file.startsWith(projectDir + path.sep)) {
+    return path.relative(projectDir, file);
+  }
+  return file;
+}
+
+function formatSpan(span, projectDir) {
+  return {
+    file: toProjectPath(span.file_name, projectDir),
+    lineStart: span.line_start,
+    lineEnd: span.line_end,
+    columnStart: span.column_start,
+    columnEnd: span.column_end,
+    label: span.label
+  };
+}
+
+// Children of a diagnostic are either plain notes/help or suggestions that
+// carry replacement text for one or more spans
+function formatChildren(children, projectDir) {
+  const notes = [];
+  const suggestions = [];
+
+  for (const child of children) {
+    const edits = child.spans.filter(span => span.suggested_replacement !== null);
+    if (edits.length > 0) {
+      suggestions.push({
+        message: child.message,
+        // MachineApplicable suggestions are safe to apply automatically
+        applicability: edits[0].suggestion_applicability,
+        edits: edits.map(span => ({
+          ...formatSpan(span, projectDir),
+          replacement: span.suggested_replacement
+        }))
+      });
+    } else {
+      notes.push({
+        level: child.level,
+        message: child.message,
+        spans: child.spans.map(span => formatSpan(span, projectDir))
+      });
+    }
+  }
+  return { notes, suggestions };
+}
+
+// Parse the JSON lines rustc emitted. Non-diagnostic messages, summaries like
+// "aborting due to 2 previous errors" and duplicates (the same crate may be
+// compiled more than once per build) are dropped.
+function parseDiagnostics(output, projectDir) {
+  const diagnostics = [];
+  const seen = new Set();
+
+  for (const line of (output || "").split('\n')) {
+    if (!line.startsWith('{')) continue;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    if (message.$message_type && message.$message_type !== 'diagnostic') continue;
+    if (!message.level || message.spans === undefined) continue;
+    if (message.spans.length === 0 && /^(aborting due to|\d+ warnings? emitted|Some errors have detailed explanations|For more information about)/.test(message.message)) continue;
+
+    const key = message.rendered || JSON.stringify([message.message, message.spans]);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const { notes, suggestions } = formatChildren(message.children || [], projectDir);
+    diagnostics.push({
+      severity: message.level,
+      code: message.code ? message.code.code : null,
+      message: message.message,
+      primarySpans: message.spans.filter(span => span.is_primary).map(span => formatSpan(span, projectDir)),
+      secondarySpans: message.spans.filter(span => !span.is_primary).map(span => formatSpan(span, projectDir)),
+      notes,
+      suggestions,
+      rendered: message.rendered
+    });
+  }
+  return diagnostics;
+}
+
+function summarizeDiagnostics(diagnostics) {
+  return {
+    errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error').length,
+    warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning').length
+  };
+}
+
+// Structured diagnostics of a finished build - read before the project dir is removed
+function readDiagnostics(projectDir) {
+  try {
+    return parseDiagnostics(fs.readFileSync(path.join(projectDir, DIAGNOSTICS_FILE_NAME), 'utf8'), projectDir);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Errors from cargo's rendered output, for clients of the older rustErrors
+// format. Locations inside projectDir are reported relative to it, i.e. as
+// the file names the client submitted.
+function parseRustErrors(errorOutput, projectDir) {
+  const errors = [];
+  let currentError = null;
+
+  for (const line of (errorOutput || "").split('\n')) {
+    // Match error lines like "error[E0308]: mismatched types"
+    const errorMatch = line.match(/^error\[([^\]]+)\]: (.+)$/);
+    if (errorMatch) {
+      if (currentError) {
+        errors.push(currentError);
+      }
+      currentError = {
+        code: errorMatch[1],
+        message: errorMatch[2],
+        details: []
+      };
+      continue;
+    }
+
+    // Match location lines like "  --> src/lib.rs:10:5"
+    const locationMatch = line.match(/^\s*-->\s*(.+):(\d+):(\d+)$/);
+    if (locationMatch && currentError) {
+      currentError.location = {
+        file: toProjectPath(locationMatch[1], projectDir),
+        line: parseInt(locationMatch[2]),
+        column: parseInt(locationMatch[3])
+      };
+      continue;
+    }
+
+    // Add other relevant lines to current error details
+    if (currentError && line.trim() && !line.startsWith('Compiling') && !line.startsWith('Finished')) {
+      currentError.details.push(line);
+    }
+  }
+
+  if (currentError) {
+    errors.push(currentError);
+  }
+  return errors;
+}
+
+module.exports = {
+  RUSTC_WRAPPER,
+  DIAGNOSTICS_FILE_NAME,
+  getDiagnosticsEnv,
+  toProjectPath,
+  parseDiagnostics,
+  readDiagnostics,
+  summarizeDiagnostics,
+  parseRustErrors
+};
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+
+// Job storage backends. Both keep jobs in memory for fast lookups; the file
+// store additionally writes every job to <dir>/<jobId>.json so jobs survive
+// server restarts.
+
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  save(job) {
+    this.jobs.set(job.id, job);
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  delete(jobId) {
+    return this.jobs.delete(jobId);
+  }
+
+  flush() {}
+}
+
+class FileJobStore extends MemoryJobStore {
+  constructor(dir, { flushInterval = 500 } = {}) {
+    super();
+    this.dir = dir;
+    this.flushInterval = flushInterval;
+    this.dirty = new Set();
+    this.flushTimer = null;
+
+    fs.mkdirSync(dir, { recursive: true });
+    this.load();
+  }
+
+  // Read all persisted jobs back into memory
+  load() {
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        console.warn(`Skipping unreadable job file ${file}:`, error.message);
+      }
+    }
+  }
+
+  // Log chunks arrive many times per second, so writes are batched
+  save(job) {
+    super.save(job);
+    this.dirty.add(job.id);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  delete(jobId) {
+    this.dirty.delete(jobId);
+    fs.rmSync(this.jobPath(jobId), { force: true });
+    return super.delete(jobId);
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    for (const jobId of this.dirty) {
+      const job = this.jobs.get(jobId);
+      if (!job) continue;
+      try {
+        // Write to a temp file first so a crash never leaves a truncated job
+        const tempPath = this.jobPath(jobId) + '.tmp';
+        fs.writeFileSync(tempPath, JSON.stringify(job));
+        fs.renameSync(tempPath, this.jobPath(jobId));
+      } catch (error) {
+        console.warn(`Failed to persist job ${jobId}:`, error.message);
+      }
+    }
+    this.dirty.clear();
+  }
+
+  jobPath(jobId) {
+    return path.join(this.dir, `${jobId}.json`);
+  }
+}
+
+// Pick the backend from JOB_STORE ("file" or "memory")
+function createJobStore({ type = "file", dir } = {}) {
+  if (type === "memory") {
+    return new MemoryJobStore();
+  }
+  if (type === "file") {
+    return new FileJobStore(dir);
+  }
+  throw new Error(`Unknown job store type: ${type}`);
+}
+
+module.exports = { MemoryJobStore, FileJobStore, createJobStore };
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+
+// Generated Cargo.toml for compiled contracts. Callers may pick the ink!
+// version and declare extra dependencies and features; everything is checked
+// against an allowlist of crates and versions before it reaches the manifest.
+
+const DEFAULT_INK_VERSION = "6.0.0-alpha";
+
+// Used when CRATE_ALLOWLIST_FILE isn't set. Versions must match exactly, "*"
+// allows any version of a crate.
+const DEFAULT_ALLOWLIST = {
+  inkVersions: {
+    "6.0.0-alpha": { features: ["unstable-hostfn"] }
+  },
+  crates: {
+    "parity-scale-codec": ["3.6", "3.7"],
+    "scale-info": ["2.11"],
+    "hex-literal": ["0.4"]
+  }
+};
+
+// Managed through inkVersion, never as plain dependencies
+const RESERVED_CRATES = ["ink", "ink_e2e"];
+
+const CRATE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const FEATURE_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_+-]{0,63}$/;
+const FEATURE_VALUE_PATTERN = /^(dep:)?[A-Za-z0-9_][A-Za-z0-9_+-]*(\??\/[A-Za-z0-9_][A-Za-z0-9_+-]*)?$/;
+
+class ManifestError extends Error {}
+
+function loadAllowlist(file = process.env.CRATE_ALLOWLIST_FILE) {
+  if (!file) {
+    return DEFAULT_ALLOWLIST;
+  }
+  const allowlist = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    inkVersions: allowlist.inkVersions || DEFAULT_ALLOWLIST.inkVersions,
+    crates: allowlist.crates || {}
+  };
+}
+
+// Allowlist lookups must not find "constructor", "__proto__" and friends
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isVersionAllowed(allowed, version) {
+  return Array.isArray(allowed) && (allowed.includes("*") || allowed.includes(version));
+}
+
+// Path dependencies point at helper crates inside the submitted project. The
+// helper's Cargo.toml is generated too (see generateManifests), so it can
+// only use the dependencies the contract was allowed.
+function validateDependencyPath(name, depPath) {
+  if (typeof depPath !== 'string' || depPath.startsWith('/') || depPath.includes('\\') ||
+      depPath.split('/').includes('..') || !/^[\w.\-/]+$/.test(depPath)) {
+    throw new ManifestError(`Dependency ${name} must use a relative path inside the project`);
+  }
+  const normalized = path.posix.normalize(depPath).replace(/\/$/, '');
+  if (normalized === '.') {
+    throw new ManifestError(`Dependency ${name} must point at a helper crate directory, not the project root`);
+  }
+  return normalized;
+}
+
+// Normalize one dependency table ("name": "1.0" or "name": { version, features, ... })
+function validateDependencies(dependencies, allowlist, label) {
+  if (dependencies === undefined) {
+    return {};
+  }
+  if (!dependencies || typeof dependencies !== 'object' || Array.isArray(dependencies)) {
+    throw new ManifestError(`${label} must be an object mapping crate names to versions`);
+  }
+
+  const normalized = {};
+  for (const [name, spec] of Object.entries(dependencies)) {
+    if (!CRATE_NAME_PATTERN.test(name)) {
+      throw new ManifestError(`Invalid crate name: ${name}`);
+    }
+    if (RESERVED_CRATES.includes(name)) {
+      throw new ManifestError(`${name} is managed by the server - use inkVersion to select it`);
+    }
+
+    const dep = typeof spec === 'string' ? { version: spec } : spec;
+    if (!dep || typeof dep !== 'object' || Array.isArray(dep)) {
+      throw new ManifestError(`Dependency ${name} must be a version string or an object`);
+    }
+
+    const features = dep.features || [];
+    if (!Array.isArray(features) || !features.every(feature => typeof feature === 'string' && FEATURE_NAME_PATTERN.test(feature))) {
+      throw new ManifestError(`Dependency ${name} has invalid features`);
+    }
+
+    const entry = { features };
+    if (dep.path !== undefined) {
+      entry.path = validateDependencyPath(name, dep.path);
+    } else {
+      if (typeof dep.version !== 'string') {
+        throw new ManifestError(`Dependency ${name} needs a version`);
+      }
+      const allowed = hasOwn(allowlist.crates, name) ? allowlist.crates[name] : null;
+      if (!isVersionAllowed(allowed, dep.version)) {
+        throw new ManifestError(allowed
+          ? `${name} ${dep.version} is not allowed (allowed versions: ${allowed.join(", ")})`
+          : `Crate ${name} is not on the dependency allowlist`);
+      }
+      entry.version = dep.version;
+    }
+    if (dep.defaultFeatures !== undefined) entry.defaultFeatures = Boolean(dep.defaultFeatures);
+    if (dep.optional !== undefined) entry.optional = Boolean(dep.optional);
+    normalized[name] = entry;
+  }
+  return normalized;
+}
+
+function validateFeatures(features) {
+  if (features === undefined) {
+    return {};
+  }
+  if (!features || typeof features !== 'object' || Array.isArray(features)) {
+    throw new ManifestError("features must be an object mapping feature names to lists");
+  }
+
+  for (const [name, values] of Object.entries(features)) {
+    if (!FEATURE_NAME_PATTERN.test(name) || name === "default") {
+      throw new ManifestError(`Invalid feature name: ${name}`);
+    }
+    if (!Array.isArray(values) || !values.every(value => typeof value === 'string' && FEATURE_VALUE_PATTERN.test(value))) {
+      throw new ManifestError(`Feature ${name} must be a list of feature names`);
+    }
+  }
+  return features;
+}
+
+// Validate the manifest options of a compile request
+function resolveManifestOptions({ inkVersion = DEFAULT_INK_VERSION, dependencies, devDependencies, features } = {}, allowlist = loadAllowlist()) {
+  if (typeof inkVersion !== 'string' || !hasOwn(allowlist.inkVersions, inkVersion)) {
+    throw new ManifestError(
+      `ink! ${inkVersion} is not supported (supported versions: ${Object.keys(allowlist.inkVersions).join(", ")})`
+    );
+  }
+
+  const options = {
+    inkVersion,
+    inkFeatures: allowlist.inkVersions[inkVersion].features || [],
+    dependencies: validateDependencies(dependencies, allowlist, "dependencies"),
+    devDependencies: validateDependencies(devDependencies, allowlist, "devDependencies"),
+    features: validateFeatures(features)
+  };
+
+  helperCrates(options);
+  return options;
+}
+
+// Helper crate directory -> crate name of every path dependency. Each
+// directory gets one generated manifest, so two crates can't share one.
+function helperCrates({ dependencies, devDependencies }) {
+  const crates = new Map();
+  for (const [name, dep] of [...Object.entries(dependencies), ...Object.entries(devDependencies)]) {
+    if (dep.path === undefined) continue;
+    if (crates.has(dep.path) && crates.get(dep.path) !== name) {
+      throw new ManifestError(`Dependencies ${crates.get(dep.path)} and ${name} point at the same path ${dep.path}`);
+    }
+    crates.set(dep.path, name);
+  }
+  return crates;
+}
+
+function tomlArray(values) {
+  return `[${values.map(value => JSON.stringify(value)).join(", ")}]`;
+}
+
+function dependencyLine(name, dep) {
+  const fields = [];
+  if (dep.path !== undefined) fields.push(`path = ${JSON.stringify(dep.path)}`);
+  if (dep.version !== undefined) fields.push(`version = ${JSON.stringify(dep.version)}`);
+  if (dep.defaultFeatures !== undefined) fields.push(`default-features = ${dep.defaultFeatures}`);
+  if (dep.features && dep.features.length) fields.push(`features = ${tomlArray(dep.features)}`);
+  if (dep.optional) fields.push('optional = true');
+  return `${name} = { ${fields.join(", ")} }`;
+}
+
+// Optimized Cargo.toml for ink! contracts compiled against the shared target.
+// Caller features are merged in; entries for std are added to the default list.
+function generateCargoToml(contractName, options = resolveManifestOptions()) {
+  const { inkVersion, inkFeatures, dependencies, devDependencies, features } = options;
+
+  const inkDependency = dependencyLine("ink", { version: inkVersion, defaultFeatures: false, features: inkFeatures });
+  const stdFeatures = ["ink/std", ...(features.std || [])];
+  const extraFeatures = Object.entries(features)
+    .filter(([name]) => !["std", "ink-as-dependency", "e2e-tests"].includes(name))
+    .map(([name, values]) => `${name} = ${tomlArray(values)}\n`)
+    .join("");
+  const extraDependencies = Object.entries(dependencies).map(([name, dep]) => dependencyLine(name, dep) + "\n").join("");
+  const extraDevDependencies = Object.entries(devDependencies).map(([name, dep]) => dependencyLine(name, dep) + "\n").join("");
+
+  return `[package]
+name = "${contractName}"
+version = "${inkVersion}"
+authors = ["Use Ink <ink@use.ink>"]
+edition = "2021"
+publish = false
+
+[dependencies]
+${inkDependency}
+${extraDependencies}
+[dev-dependencies]
+ink_e2e = { version = "${inkVersion}", default-features = false }
+${extraDevDependencies}
+[lib]
+path = "lib.rs"
+
+[features]
+default = ["std"]
+std = [
+${stdFeatures.map(feature => `    ${JSON.stringify(feature)},\n`).join("")}]
+ink-as-dependency = [${(features["ink-as-dependency"] || []).map(value => JSON.stringify(value)).join(", ")}]
+e2e-tests = [${(features["e2e-tests"] || []).map(value => JSON.stringify(value)).join(", ")}]
+${extraFeatures}
+[profile.dev]
+incremental = true
+codegen-units = 256
+
+[profile.release]
+incremental = true
+codegen-units = 16
+lto = "thin"
+`;
+}
+
+// Cargo.toml of a helper crate behind a path dependency: its code lives in
+// src/lib.rs and it gets ink! and the contract's allowlisted crates.io
+// dependencies, nothing else
+function generateHelperCargoToml(name, options) {
+  const { inkVersion, inkFeatures, dependencies } = options;
+  const registryDependencies = Object.entries(dependencies)
+    .filter(([, dep]) => dep.path === undefined)
+    .map(([depName, dep]) => dependencyLine(depName, { ...dep, optional: false }) + "\n")
+    .join("");
+
+  return `[package]
+name = "${name}"
+version = "0.1.0"
+edition = "2021"
+publish = false
+
+[dependencies]
+${dependencyLine("ink", { version: inkVersion, defaultFeatures: false, features: inkFeatures })}
+${registryDependencies}
+[features]
+default = []
+std = ["ink/std"]
+`;
+}
+
+// Every manifest of a project, path -> contents: the contract's Cargo.toml
+// and one per helper crate. Submitted projects can't contain any of these.
+function generateManifests(contractName, options = resolveManifestOptions()) {
+  const manifests = { "Cargo.toml": generateCargoToml(contractName, options) };
+  for (const [depPath, name] of helperCrates(options)) {
+    manifests[`${depPath}/Cargo.toml`] = generateHelperCargoToml(name, options);
+  }
+  return manifests;
+}
+
+module.exports = {
+  DEFAULT_INK_VERSION,
+  ManifestError,
+  loadAllowlist,
+  resolveManifestOptions,
+  generateCargoToml,
+  generateManifests
+};
@@ -0,0 +1,85 @@
+// Lookups in ink! contract metadata (the <contract>.json written by
+// `pop build`) and checks of call arguments against the message signatures.
+
+class MetadataError extends Error {}
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ACCOUNT_ID_PATTERN = /^(0x[0-9a-fA-F]{64}|[1-9A-HJ-NP-Za-km-z]{47,48})$/;
+
+// Type name as written in the contract, e.g. "u128" or "Option<Address>"
+function getTypeName(typeRef) {
+  const displayName = typeRef && typeRef.displayName;
+  return displayName && displayName.length ? displayName[displayName.length - 1] : null;
+}
+
+function findMessage(metadata, label) {
+  return metadata.spec.messages.find(message => message.label === label) || null;
+}
+
+function findConstructor(metadata, label) {
+  return metadata.spec.constructors.find(constructor => constructor.label === label) || null;
+}
+
+// Bounds of u8..u128, i8..i128 and U256
+function integerRange(typeName) {
+  const match = typeName.match(/^([uiU])(\d+)$/);
+  if (!match) return null;
+  const bits = BigInt(match[2]);
+  if (match[1] === 'i') {
+    return { min: -(2n ** (bits - 1n)), max: 2n ** (bits - 1n) - 1n };
+  }
+  return { min: 0n, max: 2n ** bits - 1n };
+}
+
+// Problem with one argument value, or null if it fits the type. Types without
+// a check here (structs, enums, vectors, ...) are passed on for pop to encode.
+function checkArg(typeName, value) {
+  if (typeName === 'bool') {
+    return value === true || value === false || value === 'true' || value === 'false' ? null : "expected a boolean";
+  }
+
+  const range = typeName === 'Balance' ? integerRange('u128') : integerRange(typeName);
+  if (range) {
+    const text = String(value);
+    if (!/^-?\d+$/.test(text) || (typeof value !== 'number' && typeof value !== 'string')) {
+      return `expected an integer (${typeName})`;
+    }
+    const number = BigInt(text);
+    return number < range.min || number > range.max ? `out of range for ${typeName}` : null;
+  }
+
+  if (typeName === 'Address' || typeName === 'H160') {
+    return ADDRESS_PATTERN.test(value) ? null : "expected a 0x-prefixed 20 byte address";
+  }
+  if (typeName === 'AccountId') {
+    return ACCOUNT_ID_PATTERN.test(value) ? null : "expected an SS58 or 0x-prefixed 32 byte account id";
+  }
+  if (typeName === 'String') {
+    return typeof value === 'string' ? null : "expected a string";
+  }
+  return null;
+}
+
+// Check a call's arguments against a message or constructor spec
+function checkArgs(spec, args = []) {
+  if (!Array.isArray(args)) {
+    throw new MetadataError("args must be a list of values");
+  }
+
+  const signature = spec.args.map(arg => `${arg.label}: ${getTypeName(arg.type)}`).join(", ");
+  if (args.length !== spec.args.length) {
+    throw new MetadataError(`${spec.label} takes ${spec.args.length} argument(s): ${spec.label}(${signature})`);
+  }
+
+  const problems = spec.args
+    .map((arg, index) => {
+      const problem = checkArg(getTypeName(arg.type), args[index]);
+      return problem ? `${arg.label}: ${problem}` : null;
+    })
+    .filter(Boolean);
+  if (problems.length > 0) {
+    throw new MetadataError(`Invalid arguments for ${spec.label}(${signature}): ${problems.join("; ")}`);
+  }
+}
+
+module.exports = { MetadataError, getTypeName, findMessage, findConstructor, checkArgs };
@@ -0,0 +1,349 @@
+const { spawn } = require("child_process");
+const path = require("path");
+
+// Everything the server runs pop for: names and arguments, validated into
+// argument arrays (never a shell string) so values can't be read as shell
+// syntax or as extra pop flags, contract directories resolved inside the
+// workspace root, the pop processes themselves and their output.
+
+class PopArgsError extends Error {}
+
+const POP_COMMAND = process.env.POP_COMMAND || '/root/.cargo/bin/pop';
+// Contracts created with /new-contract live here, one directory each
+const WORKSPACE_ROOT = path.resolve(process.env.WORKSPACE_ROOT || process.cwd());
+
+// Cargo package names: ASCII letters, digits, - and _, not starting with a
+// digit or dash, at most 64 characters (the crates.io limit)
+const PACKAGE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]{0,63}$/;
+// Names cargo refuses: Rust keywords, the standard crates, names of
+// directories in target/ and files Windows reserves
+const RESERVED_PACKAGE_NAMES = new Set([
+  'abstract', 'as', 'async', 'await', 'become', 'box', 'break', 'const', 'continue', 'crate', 'do',
+  'dyn', 'else', 'enum', 'extern', 'false', 'final', 'fn', 'for', 'gen', 'if', 'impl', 'in', 'let',
+  'loop', 'macro', 'match', 'mod', 'move', 'mut', 'override', 'priv', 'pub', 'ref', 'return', 'self',
+  'static', 'struct', 'super', 'trait', 'true', 'try', 'type', 'typeof', 'unsafe', 'unsized', 'use',
+  'virtual', 'where', 'while', 'yield',
+  'alloc', 'core', 'proc_macro', 'proc-macro', 'std', 'test',
+  'build', 'deps', 'examples', 'incremental',
+  'con', 'prn', 'aux', 'nul', 'com1', 'com2', 'com3', 'com4', 'com5', 'com6', 'com7', 'com8', 'com9',
+  'lpt1', 'lpt2', 'lpt3', 'lpt4', 'lpt5', 'lpt6', 'lpt7', 'lpt8', 'lpt9'
+]);
+// `pop new contract` template and contract type names
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const BALANCE_PATTERN = /^\d{1,39}$/;
+const CONTRACT_ADDRESS_PATTERN = /^(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{47,48})$/;
+const MAX_ARG_LENGTH = 4096;
+
+// Escape sequences of pop's colored output
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// A contract name usable as Cargo package name and as directory name
+function validatePackageName(name, label = "contractName") {
+  if (typeof name !== 'string' || !PACKAGE_NAME_PATTERN.test(name)) {
+    throw new PopArgsError(`${label} must be a Cargo package name: letters, digits, - and _, not starting with a digit or -, at most 64 characters`);
+  }
+  if (RESERVED_PACKAGE_NAMES.has(name.toLowerCase())) {
+    throw new PopArgsError(`${label} "${name}" is reserved and can't be used as a package name`);
+  }
+  return name;
+}
+
+function validateTemplateName(value, label) {
+  if (typeof value !== 'string' || !TEMPLATE_NAME_PATTERN.test(value)) {
+    throw new PopArgsError(`${label} must be lowercase letters, digits, - and _`);
+  }
+  return value;
+}
+
+function validateIdentifier(value, label) {
+  if (typeof value !== 'string' || !IDENTIFIER_PATTERN.test(value)) {
+    throw new PopArgsError(`${label} must be a Rust identifier, e.g. new`);
+  }
+  return value;
+}
+
+// Constructor and message arguments in pop's syntax. Numbers beyond 2^53 must
+// be passed as strings; structs, enums and vectors as strings in pop's format.
+function formatArgs(args) {
+  if (args === undefined) {
+    return [];
+  }
+  if (!Array.isArray(args)) {
+    throw new PopArgsError("args must be a list of values");
+  }
+
+  return args.map((arg, index) => {
+    if (typeof arg === 'number' && !Number.isSafeInteger(arg)) {
+      throw new PopArgsError(`Argument ${index + 1} must be an integer (pass large numbers as strings)`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof arg)) {
+      throw new PopArgsError(`Argument ${index + 1} must be a string, number or boolean`);
+    }
+    const value = String(arg);
+    // Anything else starting with - would be parsed as a pop flag
+    if (value.startsWith('-') && !/^-\d+$/.test(value)) {
+      throw new PopArgsError(`Argument ${index + 1} can't start with "-"`);
+    }
+    if (value.length > MAX_ARG_LENGTH) {
+      throw new PopArgsError(`Argument ${index + 1} is longer than ${MAX_ARG_LENGTH} characters`);
+    }
+    return value;
+  });
+}
+
+function formatBalance(value, label) {
+  const balance = String(value);
+  if (!['string', 'number'].includes(typeof value) || !BALANCE_PATTERN.test(balance)) {
+    throw new PopArgsError(`${label} must be a whole number of the chain's smallest unit`);
+  }
+  return balance;
+}
+
+function formatWeight(value, label) {
+  if (!Number.isSafeInteger(value) || value <= 0) {
+    throw new PopArgsError(`${label} must be a positive integer`);
+  }
+  return String(value);
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new PopArgsError("url must be a ws:// or wss:// URL");
+  }
+  if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') {
+    throw new PopArgsError("url must be a ws:// or wss:// URL");
+  }
+  return url;
+}
+
+// Secret URI of the signing account, e.g. //Alice or a mnemonic
+function validateSuri(suri) {
+  if (typeof suri !== 'string' || suri.length === 0 || suri.length > 1024 || suri.startsWith('-') || /[\r\n]/.test(suri)) {
+    throw new PopArgsError("suri must be a secret URI such as //Alice");
+  }
+  return suri;
+}
+
+// Options shared by deployments and calls
+function buildTransactionArgs({ value, gas, proofSize, url, suri }) {
+  const args = [];
+  if (value !== undefined) args.push('--value', formatBalance(value, "value"));
+  if (gas !== undefined) args.push('--gas', formatWeight(gas, "gas"));
+  if (proofSize !== undefined) args.push('--proof-size', formatWeight(proofSize, "proofSize"));
+  if (url !== undefined) args.push('--url', validateUrl(url));
+  if (suri !== undefined) args.push('--suri', validateSuri(suri));
+  return args;
+}
+
+// `pop up` arguments for a deployment request:
+// { constructor, args, value, gas, proofSize, url, suri }
+function buildDeployArgs(options = {}) {
+  const args = ['up'];
+  // Every object inherits a `constructor`, only a JSON field counts
+  if (Object.prototype.hasOwnProperty.call(options, 'constructor')) {
+    args.push('--constructor', validateIdentifier(options.constructor, "constructor"));
+  }
+  const constructorArgs = formatArgs(options.args);
+  if (constructorArgs.length > 0) args.push('--args', ...constructorArgs);
+  return [...args, ...buildTransactionArgs(options)];
+}
+
+// `pop call contract` arguments for a call request:
+// { address, message, args, execute, value, gas, proofSize, url, suri }.
+// Without execute the call is only dry-run against the chain's current state.
+function buildCallArgs(options) {
+  if (typeof options.address !== 'string' || !CONTRACT_ADDRESS_PATTERN.test(options.address)) {
+    throw new PopArgsError("address must be a 0x-prefixed 20 byte address or an SS58 address");
+  }
+
+  const args = ['call', 'contract', '--contract', options.address, '--message', validateIdentifier(options.message, "message")];
+  const messageArgs = formatArgs(options.args);
+  if (messageArgs.length > 0) args.push('--args', ...messageArgs);
+  return [...args, ...buildTransactionArgs(options), options.execute ? '--execute' : '--dry-run'];
+}
+
+// `pop new contract` arguments: { contractName, contractType, template }
+function buildNewContractArgs({ contractName, contractType, template }) {
+  return [
+    'new', 'contract', validatePackageName(contractName),
+    '--contract-type', validateTemplateName(contractType, "contractType"),
+    '--template', validateTemplateName(template, "template")
+  ];
+}
+
+// Runs pop without a shell. Contract directories are looked up in the
+// workspace root only; a sandbox (lib/sandbox.js) can be passed for builds of
+// submitted code.
+class PopRunner {
+  constructor({ command = POP_COMMAND, root = WORKSPACE_ROOT } = {}) {
+    this.command = command;
+    this.root = root;
+  }
+
+  // Directory of a workspace contract. Names are validated, and whatever
+  // the name, the result never points outside the root.
+  contractDir(contractName) {
+    const dir = path.resolve(this.root, validatePackageName(contractName));
+    if (path.dirname(dir) !== this.root) {
+      throw new PopArgsError("contractName must name a directory in the workspace");
+    }
+    return dir;
+  }
+
+  spawn(args, { sandbox = null, ...options } = {}) {
+    return sandbox ? sandbox.spawn(this.command, args, options) : spawn(this.command, args, options);
+  }
+
+  // Run pop to completion. Resolves with { code, signal, stdout, stderr, timedOut };
+  // after `timeout` ms the whole process group is killed.
+  run(args, { cwd = this.root, timeout = 0, onProcess = () => {}, ...options } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = this.spawn(args, {
+        ...options,
+        cwd,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true // Own process group so the whole tree can be killed
+      });
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      child.stdout.on('data', (data) => { stdout += data.toString(); });
+      child.stderr.on('data', (data) => { stderr += data.toString(); });
+
+      const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already gone
+        }
+      }, timeout) : null;
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        resolve({ code, signal, stdout, stderr, timedOut });
+      });
+      onProcess(child);
+    });
+  }
+}
+
+function stripAnsi(output) {
+  return (output || "").replace(ANSI_PATTERN, '');
+}
+
+// Events as printed by pop/cargo-contract:
+//   Event Contracts ➜ Instantiated
+//     deployer: 0x9621dde636de098b43efb0fa9b61facfe328f99d
+function parseEvents(output) {
+  const events = [];
+  let current = null;
+
+  for (const line of stripAnsi(output).split('\n')) {
+    const event = line.match(/^[\s│|]*Event\s+(\w+)\s*(?:➜|->|::)\s*(\w+)/);
+    if (event) {
+      current = { pallet: event[1], name: event[2], fields: {} };
+      events.push(current);
+      continue;
+    }
+    const field = current && line.match(/^[\s│|]+(\w+):\s*(.*?)\s*$/);
+    if (field) {
+      current.fields[field[1]] = field[2];
+    } else if (line.trim()) {
+      current = null;
+    }
+  }
+  return events;
+}
+
+function matchOutput(output, patterns) {
+  for (const pattern of patterns) {
+    const match = output.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// Address, hashes and events of a `pop up` run. Fields pop didn't print are null.
+function parseDeployOutput(stdout) {
+  const output = stripAnsi(stdout);
+  return {
+    address: matchOutput(output, [
+      /Contract address:?\s*"?(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{47,48})/i,
+      /address is:?\s*"?(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{47,48})/i
+    ]),
+    codeHash: matchOutput(output, [/code hash(?: is)?:?\s*"?(0x[0-9a-fA-F]{64})/i]),
+    txHash: matchOutput(output, [/(?:tx|transaction|extrinsic) hash(?: is)?:?\s*"?(0x[0-9a-fA-F]{64})/i]),
+    events: parseEvents(output)
+  };
+}
+
+// Plain values out of pop's debug formatting: Ok(..) is unwrapped, booleans
+// and integers are converted (integers beyond 2^53 stay strings). Anything
+// else, like structs or errors, is returned as printed.
+function decodeValue(text) {
+  const value = text.trim();
+  const ok = value.match(/^Ok\((.*)\)$/);
+  if (ok) {
+    return decodeValue(ok[1]);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d[\d_,]*$/.test(value)) {
+    const digits = value.replace(/[_,]/g, '');
+    return Number.isSafeInteger(Number(digits)) ? Number(digits) : digits;
+  }
+  if (value === '()') {
+    return null;
+  }
+  return value;
+}
+
+// Weight as printed by pop, e.g. "Weight { ref_time: 1234, proof_size: 56 }"
+function parseWeight(text) {
+  const refTime = text.match(/ref_time:?\s*([\d_,]+)/);
+  const proofSize = text.match(/proof_size:?\s*([\d_,]+)/);
+  if (!refTime) return null;
+  return {
+    refTime: Number(refTime[1].replace(/[_,]/g, '')),
+    proofSize: proofSize ? Number(proofSize[1].replace(/[_,]/g, '')) : null
+  };
+}
+
+// Return value, gas, hash and events of a `pop call contract` run
+function parseCallOutput(stdout) {
+  const output = stripAnsi(stdout);
+  const returnValue = matchOutput(output, [/(?:Return value|Call result|Result):\s*(.+?)\s*$/im]);
+  const gasLine = matchOutput(output, [/^(.*Gas (?:consumed|required|used|limit).*)$/im]);
+  return {
+    returnValue,
+    decoded: returnValue === null ? null : decodeValue(returnValue),
+    gasUsed: gasLine ? parseWeight(gasLine) : null,
+    txHash: matchOutput(output, [/(?:tx|transaction|extrinsic) hash(?: is)?:?\s*"?(0x[0-9a-fA-F]{64})/i]),
+    events: parseEvents(output)
+  };
+}
+
+module.exports = {
+  PopArgsError,
+  POP_COMMAND,
+  WORKSPACE_ROOT,
+  PopRunner,
+  validatePackageName,
+  buildNewContractArgs,
+  stripAnsi,
+  buildDeployArgs,
+  buildCallArgs,
+  parseDeployOutput,
+  parseCallOutput
+};
@@ -0,0 +1,18 @@
+// Stop a build and everything it spawned (cargo, rustc, ...). Builds run in
+// their own process group, so signalling -pid reaches the whole tree.
+function killProcessTree(child, graceMs = 5000) {
+  const signalGroup = (signal) => {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      child.kill(signal);
+    }
+  };
+
+  signalGroup('SIGTERM');
+  const forceKill = setTimeout(() => signalGroup('SIGKILL'), graceMs);
+  forceKill.unref();
+  child.once('close', () => clearTimeout(forceKill));
+}
+
+module.exports = { killProcessTree };
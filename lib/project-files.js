@@ -0,0 +1,294 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// Contract projects submitted to the compile endpoints: either a single `code`
+// string (written to lib.rs), a `files` map of relative paths to contents, or
+// a base64 `archive` (tar, tar.gz or zip). Every path is validated before
+// anything is written so nothing can escape the build directory.
+
+const MAX_PROJECT_FILES = 200;
+const MAX_PROJECT_BYTES = 5 * 1024 * 1024;
+
+// Files the server generates itself, in the project root and in helper
+// crates (see generateManifests in lib/manifest.js)
+const RESERVED_FILES = ["Cargo.toml", "Cargo.lock"];
+
+// Cargo and rustup read configuration from these (source replacement,
+// registries, credential providers, the toolchain), and the sandbox puts the
+// build's CARGO_HOME and HOME in .cargo_home and .home - none can be submitted
+const RESERVED_DIRS = [".cargo", ".cargo_home", ".home"];
+const TOOLCHAIN_FILE_PATTERN = /^rust-toolchain/;
+
+class ProjectFilesError extends Error {}
+
+function normalizeProjectPath(filePath) {
+  if (typeof filePath !== 'string' || !filePath || filePath.includes('\0') || filePath.includes('\\')) {
+    throw new ProjectFilesError(`Invalid file path: ${JSON.stringify(filePath)}`);
+  }
+  if (path.posix.isAbsolute(filePath)) {
+    throw new ProjectFilesError(`File path must be relative: ${filePath}`);
+  }
+
+  const normalized = path.posix.normalize(filePath);
+  if (normalized === '.' || normalized.split('/').includes('..')) {
+    throw new ProjectFilesError(`File path escapes the project directory: ${filePath}`);
+  }
+  if (!/^[\w.\-/]+$/.test(normalized)) {
+    throw new ProjectFilesError(`File path contains unsupported characters: ${filePath}`);
+  }
+  return normalized;
+}
+
+// Validate a path -> contents map and return it with normalized paths
+function validateProjectFiles(files) {
+  if (!files || typeof files !== 'object' || Array.isArray(files)) {
+    throw new ProjectFilesError("files must be an object mapping file paths to contents");
+  }
+
+  const entries = Object.entries(files);
+  if (entries.length > MAX_PROJECT_FILES) {
+    throw new ProjectFilesError(`Projects are limited to ${MAX_PROJECT_FILES} files`);
+  }
+
+  const normalized = {};
+  let totalBytes = 0;
+  for (const [filePath, contents] of entries) {
+    const projectPath = normalizeProjectPath(filePath);
+    if (typeof contents !== 'string') {
+      throw new ProjectFilesError(`Contents of ${filePath} must be a string`);
+    }
+    if (RESERVED_FILES.includes(path.posix.basename(projectPath))) {
+      throw new ProjectFilesError(`${projectPath} is generated by the server and can't be submitted`);
+    }
+    if (projectPath.split('/').some(part => RESERVED_DIRS.includes(part)) ||
+        TOOLCHAIN_FILE_PATTERN.test(path.posix.basename(projectPath))) {
+      throw new ProjectFilesError(`${projectPath} would configure cargo or the toolchain and can't be submitted`);
+    }
+    if (normalized[projectPath] !== undefined) {
+      throw new ProjectFilesError(`Duplicate file path: ${projectPath}`);
+    }
+    totalBytes += Buffer.byteLength(contents);
+    normalized[projectPath] = contents;
+  }
+
+  if (totalBytes > MAX_PROJECT_BYTES) {
+    throw new ProjectFilesError(`Projects are limited to ${MAX_PROJECT_BYTES} bytes`);
+  }
+  if (normalized["lib.rs"] === undefined) {
+    throw new ProjectFilesError("Project must contain lib.rs at its root");
+  }
+  return normalized;
+}
+
+// Turn the request body into a validated file map
+function resolveProjectFiles({ code, files, archive }) {
+  if (files !== undefined) {
+    return validateProjectFiles(files);
+  }
+  if (archive !== undefined) {
+    if (typeof archive !== 'string') {
+      throw new ProjectFilesError("archive must be a base64 encoded tar, tar.gz or zip file");
+    }
+    return validateProjectFiles(extractArchive(Buffer.from(archive, 'base64')));
+  }
+  if (code !== undefined && typeof code !== 'string') {
+    throw new ProjectFilesError("code must be a string");
+  }
+  if (code) {
+    return { "lib.rs": code };
+  }
+  throw new ProjectFilesError("Rust contract code is required");
+}
+
+function writeProjectFiles(dir, files) {
+  const root = path.resolve(dir);
+  for (const [filePath, contents] of Object.entries(files)) {
+    const target = path.resolve(root, normalizeProjectPath(filePath));
+    if (!target.startsWith(root + path.sep)) {
+      throw new ProjectFilesError(`File path escapes the project directory: ${filePath}`);
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, contents);
+  }
+}
+
+// ===== ARCHIVES =====
+
+// Header fields are read through these: a truncated or corrupt archive must
+// fail the request, not throw a RangeError out of the route
+function readUInt16(buffer, offset) {
+  if (offset < 0 || offset + 2 > buffer.length) {
+    throw new ProjectFilesError("Archive is truncated or corrupt");
+  }
+  return buffer.readUInt16LE(offset);
+}
+
+function readUInt32(buffer, offset) {
+  if (offset < 0 || offset + 4 > buffer.length) {
+    throw new ProjectFilesError("Archive is truncated or corrupt");
+  }
+  return buffer.readUInt32LE(offset);
+}
+
+function extractArchive(buffer) {
+  let files;
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    files = parseTar(gunzip(buffer));
+  } else if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    files = parseZip(buffer);
+  } else {
+    files = parseTar(buffer);
+  }
+  return stripCommonRoot(files);
+}
+
+function gunzip(buffer) {
+  try {
+    return zlib.gunzipSync(buffer, { maxOutputLength: MAX_PROJECT_BYTES * 2 });
+  } catch (error) {
+    throw new ProjectFilesError(`Failed to decompress archive: ${error.message}`);
+  }
+}
+
+// Regular files of a (ustar, GNU or pax) tar archive
+function parseTar(buffer) {
+  const files = {};
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '');
+    const isUstar = field(257, 5) === 'ustar';
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = field(156, 1);
+    // Pre-POSIX tars leave the magic empty, anything else isn't a tar header
+    if (isNaN(size) || (!isUstar && field(257, 6))) {
+      throw new ProjectFilesError("Archive is not a valid tar, tar.gz or zip file");
+    }
+
+    let name = field(0, 100);
+    const prefix = isUstar ? field(345, 155) : '';
+    if (prefix) name = `${prefix}/${name}`;
+
+    if (offset + 512 + size > buffer.length) {
+      throw new ProjectFilesError("Archive is truncated or corrupt");
+    }
+    const data = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      // GNU long file name for the next entry
+      longName = data.toString('utf8').replace(/\0[\s\S]*$/, '');
+    } else if (type === 'x') {
+      // pax extended header - only the path record matters here
+      const match = data.toString('utf8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+      if (match) longName = match[1];
+    } else if (type === '0' || type === '') {
+      files[longName || name] = data.toString('utf8');
+      longName = null;
+    } else {
+      // Directories, links and global headers carry no file contents
+      longName = null;
+    }
+  }
+  return files;
+}
+
+// Regular files of a zip archive (stored or deflated entries). The project
+// limits are enforced while extracting: entries can share one local header,
+// so a small archive could otherwise inflate to many times the limit.
+function parseZip(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (readUInt32(buffer, i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new ProjectFilesError("Archive is not a valid zip file");
+  }
+
+  const files = {};
+  const count = readUInt16(buffer, end + 10);
+  let offset = readUInt32(buffer, end + 16);
+  let fileCount = 0;
+  let totalBytes = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (readUInt32(buffer, offset) !== 0x02014b50) {
+      throw new ProjectFilesError("Archive has a corrupt zip central directory");
+    }
+    const method = readUInt16(buffer, offset + 10);
+    const compressedSize = readUInt32(buffer, offset + 20);
+    const nameLength = readUInt16(buffer, offset + 28);
+    const extraLength = readUInt16(buffer, offset + 30);
+    const commentLength = readUInt16(buffer, offset + 32);
+    const localOffset = readUInt32(buffer, offset + 42);
+    if (offset + 46 + nameLength > buffer.length) {
+      throw new ProjectFilesError("Archive has a corrupt zip central directory");
+    }
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (++fileCount > MAX_PROJECT_FILES) {
+      throw new ProjectFilesError(`Projects are limited to ${MAX_PROJECT_FILES} files`);
+    }
+
+    if (readUInt32(buffer, localOffset) !== 0x04034b50) {
+      throw new ProjectFilesError(`Archive has a corrupt zip entry for ${name}`);
+    }
+    const dataStart = localOffset + 30 + readUInt16(buffer, localOffset + 26) + readUInt16(buffer, localOffset + 28);
+    if (dataStart + compressedSize > buffer.length) {
+      throw new ProjectFilesError(`Archive has a corrupt zip entry for ${name}`);
+    }
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    const remainingBytes = MAX_PROJECT_BYTES - totalBytes;
+    let contents;
+    if (method === 0) {
+      contents = data;
+    } else if (method === 8) {
+      try {
+        contents = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, remainingBytes) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new ProjectFilesError(`Projects are limited to ${MAX_PROJECT_BYTES} bytes`);
+        }
+        throw new ProjectFilesError(`Failed to decompress ${name}: ${error.message}`);
+      }
+    } else {
+      throw new ProjectFilesError(`Unsupported zip compression method ${method} for ${name}`);
+    }
+    totalBytes += contents.length;
+    if (totalBytes > MAX_PROJECT_BYTES) {
+      throw new ProjectFilesError(`Projects are limited to ${MAX_PROJECT_BYTES} bytes`);
+    }
+    files[name] = contents.toString('utf8');
+  }
+  return files;
+}
+
+// Archives usually wrap the project in one top-level folder - drop it
+function stripCommonRoot(files) {
+  const paths = Object.keys(files).map(filePath => filePath.replace(/^\.\//, ''));
+  const roots = new Set(paths.map(filePath => filePath.split('/')[0]));
+  if (roots.size !== 1 || paths.some(filePath => !filePath.includes('/'))) {
+    return files;
+  }
+
+  const root = `${[...roots][0]}/`;
+  return Object.fromEntries(
+    Object.entries(files).map(([filePath, contents]) => [filePath.replace(/^\.\//, '').slice(root.length), contents])
+  );
+}
+
+module.exports = {
+  ProjectFilesError,
+  resolveProjectFiles,
+  writeProjectFiles
+};
@@ -0,0 +1,60 @@
+// Token bucket rate limiter keyed by client. Each client starts with
+// `capacity` tokens, every request takes one and tokens refill continuously
+// at `refillPerMinute`.
+
+class TokenBucketLimiter {
+  constructor({ capacity, refillPerMinute }) {
+    this.capacity = capacity;
+    this.refillPerMinute = refillPerMinute;
+    this.buckets = new Map(); // clientId -> { tokens, updatedAt }
+  }
+
+  refill(clientId) {
+    const now = Date.now();
+    const bucket = this.buckets.get(clientId) || { tokens: this.capacity, updatedAt: now };
+    const refilled = (now - bucket.updatedAt) / 60000 * this.refillPerMinute;
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + refilled);
+    bucket.updatedAt = now;
+    this.buckets.set(clientId, bucket);
+    return bucket;
+  }
+
+  // Take a token. When none is left, reports how long until the next one.
+  take(clientId) {
+    const bucket = this.refill(clientId);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+    }
+    const secondsPerToken = 60 / this.refillPerMinute;
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfterSeconds: Math.ceil((1 - bucket.tokens) * secondsPerToken)
+    };
+  }
+
+  usage(clientId) {
+    const bucket = this.refill(clientId);
+    return {
+      capacity: this.capacity,
+      remaining: Math.floor(bucket.tokens),
+      refill_per_minute: this.refillPerMinute
+    };
+  }
+
+  clients() {
+    return Array.from(this.buckets.keys());
+  }
+
+  // Full buckets carry no state worth keeping
+  prune() {
+    for (const clientId of this.clients()) {
+      if (this.refill(clientId).tokens >= this.capacity) {
+        this.buckets.delete(clientId);
+      }
+    }
+  }
+}
+
+module.exports = { TokenBucketLimiter };
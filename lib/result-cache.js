@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Content-addressed store of successful compile results. Each entry lives in
+// <dir>/<hash>/ with the artifact files and an entry.json describing the build.
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+class ResultCache {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // Hash everything that influences the build output
+  static key(parts) {
+    const hash = crypto.createHash('sha256');
+    for (const part of parts) {
+      hash.update(String(part));
+      hash.update('\0');
+    }
+    return hash.digest('hex');
+  }
+
+  entryDir(hash) {
+    if (!HASH_PATTERN.test(hash)) {
+      throw new Error(`Invalid cache key: ${hash}`);
+    }
+    return path.join(this.dir, hash);
+  }
+
+  read(hash) {
+    const dir = this.entryDir(hash);
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(dir, 'entry.json'), 'utf8'));
+      const size = entry.files.reduce((total, file) => total + fs.statSync(path.join(dir, file)).size, 0);
+      return { ...entry, dir, size };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Look up an entry and record the hit
+  get(hash) {
+    const entry = this.read(hash);
+    if (entry) {
+      entry.hits = (entry.hits || 0) + 1;
+      entry.lastHitAt = new Date().toISOString();
+      this.writeEntry(entry.dir, entry);
+    }
+    return entry;
+  }
+
+  // Copy the listed files from sourceDir into a new entry
+  store(hash, sourceDir, info) {
+    const dir = this.entryDir(hash);
+    const tempDir = `${dir}.tmp_${process.pid}_${Date.now()}`;
+
+    fs.mkdirSync(tempDir, { recursive: true });
+    for (const file of info.files) {
+      fs.copyFileSync(path.join(sourceDir, file), path.join(tempDir, file));
+    }
+    this.writeEntry(tempDir, {
+      ...info,
+      hash,
+      createdAt: new Date().toISOString(),
+      lastHitAt: null,
+      hits: 0
+    });
+
+    // Another build of the same source may have finished first - replace it
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(tempDir, dir);
+  }
+
+  writeEntry(dir, entry) {
+    const { dir: _dir, size: _size, ...data } = entry;
+    fs.writeFileSync(path.join(dir, 'entry.json'), JSON.stringify(data, null, 2));
+  }
+
+  list() {
+    return fs.readdirSync(this.dir)
+      .filter(name => HASH_PATTERN.test(name))
+      .map(hash => this.read(hash))
+      .filter(Boolean);
+  }
+
+  delete(hash) {
+    const dir = this.entryDir(hash);
+    if (!fs.existsSync(dir)) {
+      return false;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+  }
+
+  purge() {
+    const entries = fs.readdirSync(this.dir);
+    for (const name of entries) {
+      fs.rmSync(path.join(this.dir, name), { recursive: true, force: true });
+    }
+    return entries.filter(name => HASH_PATTERN.test(name)).length;
+  }
+}
+
+module.exports = { ResultCache };
@@ -0,0 +1,284 @@
+const { execFile, execFileSync, spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Isolation for builds of submitted contract code. Build scripts and proc
+// macros run arbitrary code, so builds run:
+//  - as an unprivileged user (SANDBOX_UID/SANDBOX_GID) without new privileges
+//  - with a scrubbed environment - nothing of the server's own env is passed
+//  - offline, in their own network namespace
+//  - with a private CARGO_HOME whose registry and git checkouts are links
+//    into the shared cache, which the build user can only read
+//  - under CPU time, memory, file size, process and disk usage limits
+// Dependencies are downloaded beforehand by the server with `cargo fetch`,
+// which runs no code of the project - and sees none of it either: it runs in
+// a scratch dir with only the generated manifests and a scrubbed env, so no
+// submitted file can configure cargo while it runs as root with network.
+// The server refuses to start when it can't create network namespaces (see
+// the Dockerfile) unless SANDBOX_ALLOW_NETWORK=true accepts builds that are
+// only kept offline by cargo. SANDBOX_DISABLED=true turns it all off.
+
+const CARGO = '/root/.cargo/bin/cargo';
+const SANDBOX_PATH = '/root/.cargo/bin:/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+const DISK_CHECK_INTERVAL_MS = 2000;
+const FETCH_TIMEOUT_MS = 300000;
+
+const SANDBOX_LIMITS = {
+  cpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS || "900", 10), // CPU time per process
+  memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB || "4096", 10), // Address space per process
+  diskMb: parseInt(process.env.SANDBOX_DISK_MB || "2048", 10), // Any single file, and what the build writes in total
+  processes: parseInt(process.env.SANDBOX_MAX_PROCESSES || "512", 10) // All processes of the build user
+};
+
+// How each limit shows when it's hit: the signal the kernel sends, or what
+// cargo, rustc and the shell print when an allocation, write or fork fails
+const LIMIT_SIGNALS = { SIGXCPU: 'cpu', SIGXFSZ: 'disk' };
+const LIMIT_PATTERNS = [
+  ['cpu', /SIGXCPU|CPU time limit exceeded/],
+  ['disk', /SIGXFSZ|File size limit exceeded|No space left on device|Disk quota exceeded/i],
+  ['memory', /memory allocation of \d+ bytes failed|out of memory|Cannot allocate memory|std::bad_alloc/i],
+  ['processes', /(?:fork|spawn|thread)[^\n]*Resource temporarily unavailable/i]
+];
+
+function describeLimit(limit, limits) {
+  switch (limit) {
+    case 'cpu': return `CPU time limit of ${limits.cpuSeconds}s exceeded`;
+    case 'memory': return `Memory limit of ${limits.memoryMb} MB exceeded`;
+    case 'disk': return `Disk limit of ${limits.diskMb} MB exceeded`;
+    case 'processes': return `Process limit of ${limits.processes} exceeded`;
+  }
+}
+
+// Whether this process may create network namespaces (needs CAP_SYS_ADMIN,
+// which containers don't get by default)
+function canIsolateNetwork() {
+  try {
+    execFileSync('unshare', ['--net', 'true'], { stdio: 'ignore', timeout: 5000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Fetch the dependencies of the generated manifests (path -> contents) into
+// cargoHome from a scratch dir. Their targets get empty stubs, cargo needs
+// one to load a manifest. Resolves with the Cargo.lock it resolved, or null.
+async function fetchDependencies(manifests, cargoHome) {
+  const fetchDir = fs.mkdtempSync(path.join(os.tmpdir(), "cargo_fetch_"));
+  try {
+    for (const [manifestPath, contents] of Object.entries(manifests)) {
+      const crateDir = path.join(fetchDir, path.dirname(manifestPath));
+      fs.mkdirSync(path.join(crateDir, "src"), { recursive: true });
+      fs.writeFileSync(path.join(crateDir, "Cargo.toml"), contents);
+      fs.writeFileSync(path.join(crateDir, "lib.rs"), "");
+      fs.writeFileSync(path.join(crateDir, "src", "lib.rs"), "");
+    }
+
+    const fetchOptions = {
+      cwd: fetchDir,
+      env: {
+        PATH: SANDBOX_PATH,
+        RUSTUP_HOME: process.env.RUSTUP_HOME || '/root/.rustup',
+        HOME: fetchDir,
+        LANG: 'C.UTF-8',
+        CARGO_HOME: cargoHome
+      }
+    };
+    const cached = await runCargoFetch(['--offline'], fetchOptions);
+    if (!cached.ok) {
+      await runCargoFetch([], fetchOptions);
+    }
+
+    const lockFile = path.join(fetchDir, "Cargo.lock");
+    return fs.existsSync(lockFile) ? fs.readFileSync(lockFile) : null;
+  } finally {
+    fs.rmSync(fetchDir, { recursive: true, force: true });
+  }
+}
+
+// Total size of some directories in KB, null if du failed
+function diskUsageKb(dirs, callback) {
+  execFile('du', ['-sk', '-c', ...dirs], (error, stdout) => {
+    const total = error ? NaN : parseInt(stdout.trim().split('\n').pop(), 10);
+    callback(isNaN(total) ? null : total);
+  });
+}
+
+function runCargoFetch(args, options) {
+  return new Promise((resolve) => {
+    execFile(CARGO, ['fetch', ...args], { ...options, timeout: FETCH_TIMEOUT_MS, maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
+      resolve({ ok: !error, output: stderr });
+    });
+  });
+}
+
+class BuildSandbox {
+  constructor({ disabled = false, allowNetwork = false, uid = 10001, gid = 10001, limits = SANDBOX_LIMITS } = {}) {
+    this.limits = limits;
+    this.uid = uid;
+    this.gid = gid;
+    this.disabled = disabled;
+    // Only root can switch to the build user; otherwise builds run as the server's user
+    this.switchUser = !disabled && process.getuid() === 0;
+    this.isolateNetwork = !disabled && canIsolateNetwork();
+
+    if (disabled) {
+      console.warn("Build sandbox disabled - submitted code builds with the server's user, environment and network");
+    } else {
+      if (!this.switchUser) console.warn("Build sandbox: not running as root, builds run as the server's own user");
+      if (!this.isolateNetwork) {
+        if (!allowNetwork) {
+          throw new Error("Build sandbox: network namespaces unavailable (the container needs --cap-add SYS_ADMIN " +
+            "or a user namespace enabled runtime) - set SANDBOX_ALLOW_NETWORK=true to build without network isolation");
+        }
+        console.warn("Build sandbox: network namespaces unavailable, builds are only kept offline by cargo");
+      }
+    }
+  }
+
+  // For /health
+  describe() {
+    return {
+      enabled: !this.disabled,
+      user: this.switchUser ? { uid: this.uid, gid: this.gid } : null,
+      networkIsolation: this.isolateNetwork,
+      limits: this.disabled ? null : this.limits
+    };
+  }
+
+  // Hand a directory (e.g. the shared target dir) over to the build user
+  grant(dir) {
+    if (!this.switchUser || !fs.existsSync(dir)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      execFile('chown', ['-R', `${this.uid}:${this.gid}`, dir], (error) => error ? reject(error) : resolve());
+    });
+  }
+
+  // Get a project dir ready for a sandboxed build: fetch the dependencies of
+  // its generated manifests (see generateManifests in lib/manifest.js) into
+  // the shared cargoHome (offline first, the network only for crates not
+  // cached yet), give it a private CARGO_HOME and HOME and hand it to the
+  // build user. Resolves with the env entries the build needs. A failed fetch
+  // isn't an error here - the offline build reports the missing crate.
+  async prepare(projectDir, cargoHome, manifests) {
+    if (this.disabled) {
+      return { CARGO_HOME: cargoHome };
+    }
+
+    const lockFile = await fetchDependencies(manifests, cargoHome);
+    if (lockFile) {
+      fs.writeFileSync(path.join(projectDir, "Cargo.lock"), lockFile);
+    }
+
+    const buildCargoHome = path.join(projectDir, ".cargo_home");
+    const home = path.join(projectDir, ".home");
+    fs.mkdirSync(buildCargoHome, { recursive: true });
+    fs.mkdirSync(home, { recursive: true });
+    for (const entry of ['registry', 'git']) {
+      fs.mkdirSync(path.join(cargoHome, entry), { recursive: true });
+      fs.symlinkSync(path.join(cargoHome, entry), path.join(buildCargoHome, entry));
+    }
+    await this.grant(projectDir);
+
+    return { CARGO_HOME: buildCargoHome, HOME: home };
+  }
+
+  // The environment of a sandboxed process: only `vars` and the basics
+  env(vars = {}) {
+    if (this.disabled) {
+      return { ...process.env, PATH: '/root/.cargo/bin:' + process.env.PATH, ...vars };
+    }
+    return {
+      PATH: SANDBOX_PATH,
+      RUSTUP_HOME: process.env.RUSTUP_HOME || '/root/.rustup',
+      LANG: 'C.UTF-8',
+      CARGO_NET_OFFLINE: "true",
+      CARGO_CACHE_AUTO_CLEAN_FREQUENCY: "never", // The shared cache is read-only here
+      ...vars
+    };
+  }
+
+  // Command and arguments that run `command` inside the sandbox. `network`
+  // keeps the host network, e.g. for e2e tests talking to a local node.
+  command(command, args, { network = false } = {}) {
+    if (this.disabled) {
+      return [command, args];
+    }
+
+    const wrapped = [];
+    if (this.isolateNetwork && !network) {
+      wrapped.push('unshare', '--net', '--');
+    }
+    wrapped.push(
+      'prlimit',
+      // SIGXCPU at the soft CPU limit, a SIGKILL only if that's ignored
+      `--cpu=${this.limits.cpuSeconds}:${this.limits.cpuSeconds + 5}`,
+      `--as=${this.limits.memoryMb * 1024 * 1024}`,
+      `--fsize=${this.limits.diskMb * 1024 * 1024}`,
+      `--nproc=${this.limits.processes}`,
+      '--'
+    );
+    if (this.switchUser) {
+      wrapped.push('setpriv', `--reuid=${this.uid}`, `--regid=${this.gid}`, '--clear-groups', '--no-new-privs', '--');
+    }
+    return [wrapped[0], [...wrapped.slice(1), command, ...args]];
+  }
+
+  spawn(command, args, { network, ...options } = {}) {
+    const [sandboxCommand, sandboxArgs] = this.command(command, args, { network });
+    return spawn(sandboxCommand, sandboxArgs, options);
+  }
+
+  // Kill the build's process group once the project dir and what the build
+  // added to its target dir outgrow the disk limit - what the target dir held
+  // when the build started (seeded from a warm cache) doesn't count. Returns
+  // a watcher: stop() when the build ended, exceeded() after.
+  watchDisk(child, projectDir, targetDir = null) {
+    let exceeded = false;
+    if (this.disabled) {
+      return { stop: () => {}, exceeded: () => false };
+    }
+
+    const limitKb = this.limits.diskMb * 1024;
+    const dirs = targetDir ? [projectDir, targetDir] : [projectDir];
+    let seededKb = targetDir ? null : 0;
+    let measuring = false;
+    if (targetDir) {
+      diskUsageKb([targetDir], (kb) => { seededKb = kb || 0; });
+    }
+
+    const timer = setInterval(() => {
+      if (seededKb === null || measuring) return;
+      measuring = true;
+      diskUsageKb(dirs, (kb) => {
+        measuring = false;
+        if (kb === null || exceeded || kb - seededKb <= limitKb) return;
+        exceeded = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (killError) {
+          // Already gone
+        }
+      });
+    }, DISK_CHECK_INTERVAL_MS);
+    timer.unref();
+
+    return { stop: () => clearInterval(timer), exceeded: () => exceeded };
+  }
+
+  // Which limit a failed build ran into, from its signal, output and disk
+  // watcher: { limit: 'cpu' | 'memory' | 'disk' | 'processes', message } or null
+  limitExceeded({ signal = null, output = "", diskExceeded = false }) {
+    if (this.disabled) return null;
+
+    let limit = diskExceeded ? 'disk' : LIMIT_SIGNALS[signal];
+    if (!limit) {
+      const match = LIMIT_PATTERNS.find(([, pattern]) => pattern.test(output));
+      limit = match ? match[0] : null;
+    }
+    return limit ? { limit, message: describeLimit(limit, this.limits) } : null;
+  }
+}
+
+module.exports = { SANDBOX_LIMITS, BuildSandbox };
@@ -0,0 +1,240 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+// Pool of cargo target directories, each leased to one build at a time.
+// Builds sharing one CARGO_TARGET_DIR wait for cargo's build directory lock
+// and overwrite each other's artifacts (every build of temp_contract writes
+// target/ink/temp_contract), so each concurrent build gets its own slot.
+//
+// Slots are seeded with a copy of the warm cache of the build's ink! version
+// and toolchain (see Compiler#warm) so they start with the dependencies
+// compiled, and keep what their builds compiled for the next lease. A build
+// gets a free slot already seeded for its warm cache where there is one, so
+// switching between ink! versions doesn't start cold. A slot is seeded again
+// when it held another warm cache or its warm cache was warmed since.
+//
+// Sandboxed builds own their slot's files, so a build script or proc macro
+// can tamper with the compiled dependencies later builds in that slot reuse.
+// Slots are therefore only reused by the same client (the lease's owner) and
+// seeded afresh from the warm cache for anyone else. What a slot holds is
+// recorded next to it (<slot>.seed.json), out of the build user's reach.
+
+const SEED_FILE_SUFFIX = ".seed.json"; // { key, generation, owner } of what a slot holds
+const WARM_FILE = ".warm.json"; // Written by Compiler#markWarmed
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Changes every time a warm cache is warmed; empty before the first time
+function readGeneration(warmDir) {
+  const warm = readJson(path.join(warmDir, WARM_FILE));
+  return warm ? warm.warmedAt : "";
+}
+
+function copyDir(source, dest) {
+  return new Promise((resolve, reject) => {
+    execFile('cp', ['-a', `${source}/.`, dest], (error, stdout, stderr) => {
+      error ? reject(new Error(stderr.trim() || error.message)) : resolve();
+    });
+  });
+}
+
+class TargetLease {
+  constructor(pool, slot, waitMs, seed, owner) {
+    this.pool = pool;
+    this.slot = slot;
+    this.dir = pool.slotDir(slot);
+    this.waitMs = waitMs;
+    this.warmCache = seed.key;
+    this.owner = owner;
+    this.seeded = false; // Whether the slot was (re)seeded for this lease
+    this.acquiredAt = Date.now();
+    this.releasedAt = null;
+  }
+
+  release() {
+    if (this.releasedAt) return;
+    this.releasedAt = Date.now();
+    this.pool.release(this.slot);
+  }
+
+  // For job metadata: which slot, how long the build waited for it and held it
+  describe() {
+    return {
+      slot: this.slot,
+      warmCache: this.warmCache,
+      waitMs: this.waitMs,
+      leaseMs: (this.releasedAt || Date.now()) - this.acquiredAt,
+      seeded: this.seeded
+    };
+  }
+}
+
+class TargetPool {
+  constructor({ dir, size = 4, sandbox }) {
+    this.dir = dir;
+    this.size = size;
+    this.sandbox = sandbox;
+    this.free = Array.from({ length: size }, (_, slot) => slot);
+    this.waiting = []; // Resolvers of acquire() calls waiting for a free slot, oldest first
+    this.seeding = new Map(); // Warm dir -> slots being seeded from it right now
+  }
+
+  slotDir(slot) {
+    return path.join(this.dir, String(slot));
+  }
+
+  seedFile(slot) {
+    return path.join(this.dir, `${slot}${SEED_FILE_SUFFIX}`);
+  }
+
+  // { key, generation, owner } of the warm cache a slot was seeded with and
+  // the client using it, or null
+  slotSeed(slot) {
+    return readJson(this.seedFile(slot));
+  }
+
+  // When a slot was last released, or null if it's empty
+  slotLastUsed(slot) {
+    try {
+      return fs.statSync(this.seedFile(slot)).mtime;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // A free slot this client used with this warm cache, else the least
+  // recently used one
+  takeFreeSlot(seed, owner) {
+    let index = this.free.findIndex(slot => {
+      const slotSeed = this.slotSeed(slot);
+      return slotSeed && slotSeed.key === seed.key && slotSeed.owner === owner;
+    });
+    if (index === -1) {
+      const lastUsed = this.free.map(slot => {
+        const time = this.slotLastUsed(slot);
+        return time ? time.getTime() : 0;
+      });
+      index = lastUsed.indexOf(Math.min(...lastUsed));
+    }
+    return this.free.splice(index, 1)[0];
+  }
+
+  // Lease a slot for a build of client `owner` using the warm cache `seed`
+  // ({ key, dir }), waiting for one to be released if all are in use. Calls
+  // onWait first when it has to wait. Resolves with a TargetLease; the
+  // caller must release() it when the build finished.
+  async acquire({ seed, owner = null, onWait = () => {} }) {
+    const requestedAt = Date.now();
+    let slot;
+    if (this.free.length > 0) {
+      slot = this.takeFreeSlot(seed, owner);
+    } else {
+      onWait(this.waiting.length + 1);
+      slot = await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    const lease = new TargetLease(this, slot, Date.now() - requestedAt, seed, owner);
+    try {
+      lease.seeded = await this.seed(slot, seed, owner);
+    } catch (error) {
+      lease.release();
+      throw error;
+    }
+    return lease;
+  }
+
+  release(slot) {
+    // Marks the slot as used now, see slotLastUsed
+    const seedFile = this.seedFile(slot);
+    if (fs.existsSync(seedFile)) {
+      const now = new Date();
+      fs.utimesSync(seedFile, now, now);
+    }
+
+    const next = this.waiting.shift();
+    if (next) {
+      next(slot);
+    } else {
+      this.free.push(slot);
+    }
+  }
+
+  // Copy the warm cache into a slot that doesn't hold its current generation
+  // or was used by another client. Resolves with whether it copied.
+  async seed(slot, seed, owner) {
+    const dir = this.slotDir(slot);
+    const generation = readGeneration(seed.dir);
+    const current = this.slotSeed(slot);
+    if (current && current.key === seed.key && current.generation === generation && current.owner === owner) {
+      return false;
+    }
+
+    fs.rmSync(this.seedFile(slot), { force: true });
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+    if (fs.existsSync(seed.dir)) {
+      this.seeding.set(seed.dir, (this.seeding.get(seed.dir) || 0) + 1);
+      try {
+        await copyDir(seed.dir, dir);
+      } finally {
+        this.seeding.set(seed.dir, this.seeding.get(seed.dir) - 1);
+        if (!this.seeding.get(seed.dir)) this.seeding.delete(seed.dir);
+      }
+      fs.rmSync(path.join(dir, WARM_FILE), { force: true });
+    }
+    await this.sandbox.grant(dir);
+    fs.writeFileSync(this.seedFile(slot), JSON.stringify({ key: seed.key, generation, owner }));
+    return true;
+  }
+
+  // Empty a free slot; its next lease seeds it again. Returns false for a
+  // leased slot. The files are removed in the background.
+  evict(slot) {
+    const dir = this.slotDir(slot);
+    if (!this.free.includes(slot)) {
+      return false;
+    }
+    fs.rmSync(this.seedFile(slot), { force: true });
+    if (fs.existsSync(dir)) {
+      const trash = `${dir}.evicted_${Date.now()}`;
+      fs.renameSync(dir, trash);
+      fs.promises.rm(trash, { recursive: true, force: true }).catch(error => {
+        console.warn(`Failed to remove evicted target dir ${trash}:`, error.message);
+      });
+    }
+    return true;
+  }
+
+  // Every slot with the warm cache it holds, for the cache API
+  slots() {
+    return Array.from({ length: this.size }, (_, slot) => {
+      const seed = this.slotSeed(slot);
+      const lastUsed = this.slotLastUsed(slot);
+      return {
+        slot,
+        dir: this.slotDir(slot),
+        leased: !this.free.includes(slot),
+        warmCache: seed ? seed.key : null,
+        lastUsedAt: lastUsed ? lastUsed.toISOString() : null
+      };
+    });
+  }
+
+  // For /cache-status
+  describe() {
+    return {
+      size: this.size,
+      leased: this.size - this.free.length,
+      waiting: this.waiting.length
+    };
+  }
+}
+
+module.exports = { WARM_FILE, TargetPool, TargetLease };
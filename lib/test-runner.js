@@ -0,0 +1,143 @@
+const { spawn } = require("child_process");
+
+// Runs a contract's unit tests (#[test] and #[ink::test]) in two steps:
+// `cargo test --no-run` builds the test binary, which is then started directly
+// with libtest's JSON output to get each test's status, duration and output.
+
+const CARGO = '/root/.cargo/bin/cargo';
+
+// JSON output and --report-time are unstable libtest options. RUSTC_BOOTSTRAP
+// is only set for the test binary, the build itself stays a stable one.
+const LIBTEST_ARGS = ['-Z', 'unstable-options', '--format', 'json', '--report-time', '--show-output'];
+
+const TEST_STATUS = {
+  ok: 'passed',
+  failed: 'failed',
+  ignored: 'ignored'
+};
+
+// Call onLine for every complete line a stream writes
+function readLines(stream, onLine) {
+  let buffer = '';
+  stream.on('data', (data) => {
+    buffer += data.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(onLine);
+  });
+  stream.on('end', () => {
+    if (buffer) onLine(buffer);
+  });
+}
+
+function parseJsonLine(line) {
+  if (!line.startsWith('{')) return null;
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+}
+
+function emptySummary() {
+  return { total: 0, passed: 0, failed: 0, ignored: 0, filteredOut: 0, durationMs: 0 };
+}
+
+// Start a process (in the build sandbox, if given) and resolve with its exit
+// code and signal once it closed
+function runProcess(command, args, { cwd, env, sandbox, network, onProcess }) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      cwd,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true // Own process group so the whole tree can be killed
+    };
+    const child = sandbox ? sandbox.spawn(command, args, { ...options, network }) : spawn(command, args, options);
+    child.on('error', reject);
+    child.on('close', (code, signal) => resolve({ code, signal }));
+    onProcess(child);
+  });
+}
+
+// Build and run the unit tests of the project in `cwd`, with the given cargo
+// features enabled (e.g. e2e-tests) and at most `threads` tests in parallel.
+// With a sandbox (lib/sandbox.js) both steps run in it; `network` lets the
+// test binaries reach the host network, e.g. a local node for e2e tests.
+//   onProcess(child)     - each process started, for cancellation and timeouts
+//   onOutput(type, text) - build output and anything tests print outside libtest
+//   onTest(result)       - each finished test: { name, status, durationMs, output }
+// Resolves with { built, exitCode, signal, tests, summary }.
+async function runTests({ cwd, env, filter, features = [], threads = null, sandbox = null, network = false, onProcess = () => {}, onOutput = () => {}, onTest = () => {} }) {
+  const executables = [];
+  const tests = [];
+  const summary = emptySummary();
+
+  const buildArgs = ['test', '--lib', '--no-run', '--message-format=json-render-diagnostics'];
+  if (features.length > 0) buildArgs.push('--features', features.join(','));
+  const testArgs = [...LIBTEST_ARGS];
+  if (threads) testArgs.push(`--test-threads=${threads}`);
+  if (filter) testArgs.push(filter);
+
+  const build = await runProcess(CARGO, buildArgs, {
+    cwd,
+    env,
+    sandbox,
+    onProcess: (child) => {
+      // stdout carries cargo's JSON messages, the test binary path among them
+      readLines(child.stdout, (line) => {
+        const message = parseJsonLine(line);
+        if (message && message.reason === 'compiler-artifact' && message.profile.test && message.executable) {
+          executables.push(message.executable);
+        }
+      });
+      child.stderr.on('data', (data) => onOutput('stderr', data.toString()));
+      onProcess(child);
+    }
+  });
+
+  if (build.code !== 0) {
+    return { built: false, exitCode: build.code, signal: build.signal, tests, summary };
+  }
+
+  let run = { code: 0, signal: null };
+  for (const executable of executables) {
+    run = await runProcess(executable, testArgs, {
+      cwd,
+      env: { ...env, RUSTC_BOOTSTRAP: "1" },
+      sandbox,
+      network,
+      onProcess: (child) => {
+        readLines(child.stdout, (line) => {
+          const event = parseJsonLine(line);
+          if (!event) {
+            onOutput('stdout', line + '\n');
+          } else if (event.type === 'test' && TEST_STATUS[event.event]) {
+            const result = {
+              name: event.name,
+              status: TEST_STATUS[event.event],
+              durationMs: event.exec_time !== undefined ? Math.round(event.exec_time * 1000000) / 1000 : null,
+              output: event.stdout || ''
+            };
+            tests.push(result);
+            onTest(result);
+          } else if (event.type === 'suite' && event.event !== 'started') {
+            summary.passed += event.passed;
+            summary.failed += event.failed;
+            summary.ignored += event.ignored;
+            summary.filteredOut += event.filtered_out;
+            summary.durationMs += Math.round((event.exec_time || 0) * 1000);
+          }
+        });
+        child.stderr.on('data', (data) => onOutput('stderr', data.toString()));
+        onProcess(child);
+      }
+    });
+    if (run.code !== 0 && run.code !== 101) break; // 101 - some tests failed
+  }
+
+  summary.total = tests.length;
+  return { built: true, exitCode: run.code, signal: run.signal, tests, summary };
+}
+
+module.exports = { runTests };
@@ -1,16 +1,55 @@
 const express = require("express");
-const { exec, spawn } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { createJobStore } = require("./lib/job-store");
+const { ResultCache } = require("./lib/result-cache");
+const { ProjectFilesError, resolveProjectFiles } = require("./lib/project-files");
+const { ManifestError, loadAllowlist, resolveManifestOptions } = require("./lib/manifest");
+const { loadApiKeys, createAuth } = require("./lib/auth");
+const { TokenBucketLimiter } = require("./lib/rate-limit");
+const { summarizeDiagnostics, parseRustErrors } = require("./lib/diagnostics");
+const { getArtifactName, findArtifactDir, collectArtifacts, readArtifacts } = require("./lib/artifacts");
+const { COMPILE_TIMEOUT_MS, Compiler } = require("./lib/compiler");
+const { CacheError, CacheManager } = require("./lib/cache-manager");
+const { killProcessTree } = require("./lib/process-tree");
+const { DevNode } = require("./lib/dev-node");
+const {
+  PopArgsError,
+  PopRunner,
+  validatePackageName,
+  buildNewContractArgs,
+  buildDeployArgs,
+  buildCallArgs,
+  parseDeployOutput,
+  parseCallOutput
+} = require("./lib/pop");
+const { MetadataError, findMessage, findConstructor, checkArgs } = require("./lib/metadata");
+const { DeploymentRegistry } = require("./lib/deployment-registry");
+const { AbiError, normalizeAbi } = require("./lib/abi");
+const { CHAIN_NAME_PATTERN, CHAIN_STATUS, ChainError, ChainManager } = require("./lib/chains");
+const { BuildSandbox } = require("./lib/sandbox");
 
 const app = express();
-app.use(express.json());
+// Behind a reverse proxy set TRUST_PROXY so req.ip is the real client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+app.use(express.json({ limit: "10mb" })); // Multi-file projects and base64 archives
+
+// Allowed browser origins, comma-separated (CORS_ORIGINS, defaults to any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "*").split(",").map(origin => origin.trim());
 
 // CORS middleware
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
+  const origin = req.get('Origin');
+  if (CORS_ORIGINS.includes('*')) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else if (origin && CORS_ORIGINS.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+  }
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cache-Control');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Cache-Control');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -20,8 +59,31 @@ app.use((req, res, next) => {
   }
 });
 
+// API key authentication - every route except /health needs a key with the
+// right role (see lib/auth.js). AUTH_DISABLED=true turns it off for local use.
+const auth = createAuth(loadApiKeys(), { disabled: process.env.AUTH_DISABLED === "true" });
+const { requireRole } = auth;
+
+// Every pop invocation goes through this runner: argument arrays, no shell,
+// and contract directories only inside WORKSPACE_ROOT (see lib/pop.js)
+const popRunner = new PopRunner();
+
+// Submitted contract code is built in a sandbox (see lib/sandbox.js) as the
+// unprivileged SANDBOX_UID:SANDBOX_GID. SANDBOX_DISABLED=true turns it off for local use,
+// SANDBOX_ALLOW_NETWORK=true lets it run where network namespaces are unavailable.
+const sandbox = new BuildSandbox({
+  disabled: process.env.SANDBOX_DISABLED === "true",
+  allowNetwork: process.env.SANDBOX_ALLOW_NETWORK === "true",
+  uid: parseInt(process.env.SANDBOX_UID || "10001", 10),
+  gid: parseInt(process.env.SANDBOX_GID || "10001", 10)
+});
+
 // Job Queue System for Compilation
-const jobs = new Map(); // In-memory job storage
+// Jobs are persisted to disk by default so they survive restarts (JOB_STORE=memory to disable)
+const jobStore = createJobStore({
+  type: process.env.JOB_STORE || "file",
+  dir: process.env.JOB_STORE_DIR || "/app/compile_cache/jobs"
+});
 
 // Simple ID generator (no external dependency)
 function generateJobId() {
@@ -33,16 +95,209 @@ const JOB_STATUS = {
   QUEUED: 'queued',
   RUNNING: 'running', 
   COMPLETED: 'completed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted', // Server stopped while the job was running
+  CANCELLED: 'cancelled',
+  TIMED_OUT: 'timed_out'
+};
+
+function isJobFinished(job) {
+  return job.status !== JOB_STATUS.QUEUED && job.status !== JOB_STATUS.RUNNING;
+}
+
+// Compilation scheduler - FIFO queue with a bounded number of parallel builds
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || "2", 10);
+const DURATION_SAMPLE_SIZE = 20; // Recent job durations kept for wait estimates
+const jobQueue = []; // Job IDs waiting for a free worker, oldest first
+const recentDurations = [];
+let activeJobs = 0;
+
+function enqueueJob(jobId) {
+  jobQueue.push(jobId);
+  drainQueue();
+}
+
+// Start queued jobs while there are free workers
+function drainQueue() {
+  while (activeJobs < MAX_CONCURRENT_JOBS && jobQueue.length > 0) {
+    const jobId = jobQueue.shift();
+    const startedAt = Date.now();
+    activeJobs++;
+    
+    const job = getJob(jobId);
+    const processJob = JOB_PROCESSORS[(job && job.type) || 'compile'];
+    processJob(jobId)
+      .catch(error => console.error(`Job ${jobId} crashed:`, error))
+      .finally(() => {
+        activeJobs--;
+        recentDurations.push(Date.now() - startedAt);
+        if (recentDurations.length > DURATION_SAMPLE_SIZE) {
+          recentDurations.shift();
+        }
+        drainQueue();
+      });
+  }
+}
+
+// 1-based position in the queue, or null if the job isn't waiting
+function getQueuePosition(jobId) {
+  const index = jobQueue.indexOf(jobId);
+  return index === -1 ? null : index + 1;
+}
+
+// Average duration of recent jobs in seconds, or null before the first one finished
+function getAverageJobSeconds() {
+  if (recentDurations.length === 0) {
+    return null;
+  }
+  return recentDurations.reduce((sum, ms) => sum + ms, 0) / recentDurations.length / 1000;
+}
+
+// Estimated seconds until a queued job starts, based on recent job durations
+function estimateWaitSeconds(position) {
+  const averageSeconds = getAverageJobSeconds();
+  if (!position || averageSeconds === null) {
+    return null;
+  }
+  // Jobs ahead of this one run MAX_CONCURRENT_JOBS at a time
+  return Math.round(Math.ceil(position / MAX_CONCURRENT_JOBS) * averageSeconds);
+}
+
+// Per-job build timeout; requests may ask for less but never more than the max
+const DEFAULT_JOB_TIMEOUT_SECONDS = parseInt(process.env.JOB_TIMEOUT_SECONDS || "300", 10);
+const MAX_JOB_TIMEOUT_SECONDS = parseInt(process.env.MAX_JOB_TIMEOUT_SECONDS || "900", 10);
+
+// Timeout a job request asks for: undefined for the default, or null after
+// sending a 400 if it isn't a whole number of seconds up to the maximum
+function parseTimeout({ timeout }, res) {
+  if (timeout !== undefined && !(Number.isInteger(timeout) && timeout > 0 && timeout <= MAX_JOB_TIMEOUT_SECONDS)) {
+    res.status(400).json({ 
+      error: `timeout must be a whole number of seconds between 1 and ${MAX_JOB_TIMEOUT_SECONDS}` 
+    });
+    return null;
+  }
+  return timeout;
+}
+
+// Handles of running build processes, used for cancellation and timeouts
+const runningProcesses = new Map(); // jobId -> { child, stopReason }
+
+// Cancel a queued or running job. Returns false if the job already finished.
+function cancelJob(jobId) {
+  const job = getJob(jobId);
+  if (!job || isJobFinished(job)) {
+    return false;
+  }
+  
+  const queueIndex = jobQueue.indexOf(jobId);
+  if (queueIndex !== -1) {
+    jobQueue.splice(queueIndex, 1);
+    jobSecrets.delete(jobId); // Signer of a deploy job, see /deploy
+    updateJob(jobId, {
+      status: JOB_STATUS.CANCELLED,
+      completedAt: new Date().toISOString(),
+      error: "Job cancelled"
+    });
+    addJobLog(jobId, 'error', 'Job cancelled before it started');
+    return true;
+  }
+  
+  // The close handler of the build process records the final status
+  const running = runningProcesses.get(jobId);
+  if (running) {
+    running.stopReason = JOB_STATUS.CANCELLED;
+    addJobLog(jobId, 'info', 'Cancelling compilation...');
+    // Test jobs register before their first process, e.g. while a node starts
+    if (running.child) killProcessTree(running.child);
+  }
+  return true;
+}
+
+// What each job type runs: compile and check jobs are a full build or a
+// type-check only of submitted code through the compiler (lib/compiler.js),
+// build and deploy jobs run pop build/up in a contract directory (deploy args
+// come from the request). Test jobs build and run the test binary in two
+// steps, see processTestJob.
+const JOB_COMMANDS = {
+  compile: { label: 'Compilation' },
+  check: { label: 'Check' },
+  build: { args: ['build'], label: 'Build' },
+  deploy: { args: ['up'], label: 'Deployment' }
+};
+
+// Runs a queued job of each type until it finished
+const JOB_PROCESSORS = {
+  compile: processCompilationJob,
+  check: processCompilationJob,
+  test: processTestJob,
+  build: processPopJob,
+  deploy: processPopJob
 };
 
+// Compiled artifacts of finished jobs are kept here, one directory per job
+const ARTIFACTS_DIR = "/app/compile_cache/artifacts";
+
+// Successful builds are cached by source hash and reused for identical requests
+const resultCache = new ResultCache(process.env.RESULT_CACHE_DIR || "/app/compile_cache/results");
+
+// Every compilation of submitted code and cache warming goes through this
+// pipeline; the routes are adapters for JSON responses, jobs and event streams.
+// Concurrent builds each lease one of TARGET_POOL_SIZE target dirs.
+const compiler = new Compiler({
+  baseDir: "/app/compile_cache",
+  sandbox,
+  popRunner,
+  resultCache,
+  targetPoolSize: parseInt(process.env.TARGET_POOL_SIZE || "4", 10)
+});
+
+// Keeps the caches under CACHE_SIZE_BUDGET_MB: stale warm caches and target
+// dirs are evicted every CACHE_EVICT_INTERVAL_MS and after each warm-up, then
+// the least recently used ones until the total fits, see lib/cache-manager.js
+const CACHE_EVICT_INTERVAL_MS = parseInt(process.env.CACHE_EVICT_INTERVAL_MS || String(15 * 60 * 1000), 10);
+const cacheManager = new CacheManager({
+  compiler,
+  resultCache,
+  budgetBytes: parseInt(process.env.CACHE_SIZE_BUDGET_MB || "20480", 10) * 1024 * 1024
+});
+
+function evictCaches() {
+  return cacheManager.evict().then(({ evicted, totalBytes }) => {
+    if (evicted.length > 0) {
+      console.log(`Evicted ${evicted.length} cache entries, ${formatBytes(totalBytes)} left`);
+    }
+  }).catch(error => {
+    console.warn("Cache eviction failed:", error.message);
+  });
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 // Job management functions
-function createJob(contractName, code) {
+function createJob(contractName, files, options = {}) {
   const jobId = generateJobId();
   const job = {
     id: jobId,
+    type: options.type || 'compile', // Key of JOB_COMMANDS
     contractName,
-    code,
+    files, // Project files, path -> contents (build and deploy jobs use the contract dir)
+    manifest: options.manifest || null, // Validated Cargo.toml options
+    owner: options.owner || null, // Name of the API key that submitted the job
+    clientId: options.clientId || null, // Rate limiting identity (API key or IP)
+    timeoutSeconds: options.timeoutSeconds || DEFAULT_JOB_TIMEOUT_SECONDS,
+    cacheKey: options.cacheKey || null,
+    cacheHit: false,
+    workDir: null, // Build directory, used to map error locations to submitted files
+    limitExceeded: null, // Sandbox limit a failed build ran into, see lib/sandbox.js
+    targetLease: null, // Target dir slot with wait and lease times, see lib/target-pool.js
+    diagnostics: null, // Structured compiler diagnostics, see lib/diagnostics.js
+    testFilter: options.testFilter || null, // Test jobs only run tests whose name contains this
+    testMode: options.testMode || null, // 'unit' or 'e2e' for test jobs
+    params: options.params || null, // Deployment options of deploy jobs, without the suri
+    deployment: null, // Address, hashes and events of a finished deploy job
+    testReport: null, // { tests, summary } of test jobs, see lib/test-runner.js
     status: JOB_STATUS.QUEUED,
     createdAt: new Date().toISOString(),
     startedAt: null,
@@ -52,57 +307,242 @@ function createJob(contractName, code) {
     stderr: '',
     result: null,
     error: null,
-    exitCode: null
+    exitCode: null,
+    artifacts: null
   };
-  jobs.set(jobId, job);
+  jobStore.save(job);
   return job;
 }
 
 function getJob(jobId) {
-  return jobs.get(jobId);
+  return jobStore.get(jobId);
+}
+
+// Job of the route's :jobId if the requesting client may see it. Other
+// clients' jobs are reported as missing. Sends a 404 and returns null otherwise.
+function getClientJob(req, res) {
+  const job = getJob(req.params.jobId);
+  if (!job || !auth.canAccessJob(req.client, job)) {
+    res.status(404).json({ error: "Job not found" });
+    return null;
+  }
+  return job;
 }
 
 function updateJob(jobId, updates) {
-  const job = jobs.get(jobId);
+  const job = jobStore.get(jobId);
   if (job) {
     Object.assign(job, updates);
-    jobs.set(jobId, job);
+    jobStore.save(job);
   }
   return job;
 }
 
-function addJobLog(jobId, type, message) {
-  const job = jobs.get(jobId);
+// `data` carries structured details, e.g. the result of a finished test
+function addJobLog(jobId, type, message, data) {
+  const job = jobStore.get(jobId);
   if (job) {
     job.logs.push({
       timestamp: new Date().toISOString(),
       type,
-      message
+      message,
+      ...(data && { data })
     });
     if (type === 'stdout') job.stdout += message;
     if (type === 'stderr') job.stderr += message;
+    jobStore.save(job);
+  }
+}
+
+// Finish a job straight away with a cached build result (Compiler#fromCache)
+function completeJobFromCache(jobId, result) {
+  addJobLog(jobId, 'info', `Reusing cached build ${result.cacheKey}`);
+  if (result.stdout) addJobLog(jobId, 'stdout', result.stdout);
+  if (result.stderr) addJobLog(jobId, 'stderr', result.stderr);
+  updateJob(jobId, { startedAt: new Date().toISOString() });
+  finishCompilationJob(jobId, result);
+}
+
+// Job retention - finished jobs are evicted after a TTL and beyond a maximum count
+const JOB_TTL_HOURS = parseFloat(process.env.JOB_TTL_HOURS || "24");
+const MAX_RETAINED_JOBS = parseInt(process.env.MAX_RETAINED_JOBS || "500", 10);
+const JOB_SWEEP_INTERVAL_MS = 60 * 1000;
+
+function deleteJob(jobId) {
+  jobStore.delete(jobId);
+  try {
+    fs.rmSync(path.join(ARTIFACTS_DIR, jobId), { recursive: true, force: true });
+  } catch (cleanupError) {
+    console.warn("Failed to cleanup job artifacts:", cleanupError.message);
+  }
+}
+
+// Remove expired jobs, then the oldest finished ones while over the count limit.
+// Queued and running jobs are never evicted.
+function sweepJobs() {
+  const expiresBefore = new Date(Date.now() - JOB_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  const finished = jobStore.list()
+    .filter(job => isJobFinished(job))
+    .sort((a, b) => (a.completedAt || a.createdAt).localeCompare(b.completedAt || b.createdAt));
+  
+  let remaining = jobStore.list().length;
+  let evicted = 0;
+  
+  for (const job of finished) {
+    const expired = (job.completedAt || job.createdAt) < expiresBefore;
+    if (!expired && remaining <= MAX_RETAINED_JOBS) break;
+    deleteJob(job.id);
+    remaining--;
+    evicted++;
+  }
+  
+  if (evicted > 0) {
+    console.log(`Evicted ${evicted} finished job(s), ${remaining} retained`);
+  }
+  return evicted;
+}
+
+// Restore job state after a restart: running jobs lost their process, queued
+// jobs never started and go back into the queue in their original order
+function recoverJobs() {
+  const pending = [];
+  
+  for (const job of jobStore.list()) {
+    if (job.status === JOB_STATUS.RUNNING) {
+      updateJob(job.id, {
+        status: JOB_STATUS.INTERRUPTED,
+        completedAt: new Date().toISOString(),
+        error: "Server restarted while the job was running"
+      });
+      addJobLog(job.id, 'error', 'Job interrupted by server restart');
+    } else if (job.status === JOB_STATUS.QUEUED) {
+      pending.push(job);
+    }
+  }
+  
+  pending
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach(job => enqueueJob(job.id));
+}
+
+// ===== RATE LIMITING =====
+// Compile endpoints are limited per client (API key, or IP when auth is off):
+// a token bucket for request rate plus a cap on concurrent compilations.
+const compileLimiter = new TokenBucketLimiter({
+  capacity: parseInt(process.env.RATE_LIMIT_BURST || "10", 10),
+  refillPerMinute: parseFloat(process.env.RATE_LIMIT_PER_MINUTE || "6")
+});
+const MAX_CONCURRENT_PER_CLIENT = parseInt(process.env.MAX_CONCURRENT_PER_CLIENT || "3", 10);
+const activeSyncCompiles = new Map(); // clientId -> running /compile and /compile-stream requests
+
+setInterval(() => compileLimiter.prune(), 10 * 60 * 1000).unref();
+
+function getClientId(req) {
+  return req.client.anonymous ? `ip:${req.ip}` : `key:${req.client.name}`;
+}
+
+// Compilations a client has in flight - unfinished jobs plus synchronous requests
+function countActiveCompiles(clientId) {
+  const activeJobs = jobStore.list().filter(job => job.clientId === clientId && !isJobFinished(job)).length;
+  return activeJobs + (activeSyncCompiles.get(clientId) || 0);
+}
+
+function getClientUsage(clientId) {
+  return {
+    client: clientId,
+    rate_limit: compileLimiter.usage(clientId),
+    concurrent: {
+      active: countActiveCompiles(clientId),
+      limit: MAX_CONCURRENT_PER_CLIENT
+    }
+  };
+}
+
+// Route middleware for compile endpoints. Synchronous routes count as active
+// until their response is closed; jobs count until they finish.
+function limitCompiles({ sync }) {
+  return (req, res, next) => {
+    const clientId = getClientId(req);
+    
+    if (countActiveCompiles(clientId) >= MAX_CONCURRENT_PER_CLIENT) {
+      const retryAfter = Math.max(1, Math.round(getAverageJobSeconds() || 30));
+      res.header('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Too many concurrent compilations (limit ${MAX_CONCURRENT_PER_CLIENT})`,
+        retry_after: retryAfter,
+        usage: getClientUsage(clientId)
+      });
+    }
+    
+    const { allowed, remaining, retryAfterSeconds } = compileLimiter.take(clientId);
+    res.header('X-RateLimit-Limit', String(compileLimiter.capacity));
+    res.header('X-RateLimit-Remaining', String(remaining));
+    if (!allowed) {
+      res.header('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: "Rate limit exceeded",
+        retry_after: retryAfterSeconds,
+        usage: getClientUsage(clientId)
+      });
+    }
+    
+    req.clientId = clientId;
+    if (sync) {
+      activeSyncCompiles.set(clientId, (activeSyncCompiles.get(clientId) || 0) + 1);
+      res.on('close', () => {
+        const active = activeSyncCompiles.get(clientId) - 1;
+        if (active > 0) {
+          activeSyncCompiles.set(clientId, active);
+        } else {
+          activeSyncCompiles.delete(clientId);
+        }
+      });
+    }
+    next();
+  };
+}
+
+// Directory of a workspace contract. Sends a 400 and returns null when the
+// name isn't a valid contract name.
+function getContractDir(contractName, res) {
+  try {
+    return popRunner.contractDir(contractName);
+  } catch (error) {
+    if (!(error instanceof PopArgsError)) throw error;
+    res.status(400).json({ error: error.message });
+    return null;
   }
 }
 
 // Endpoint to create a new contract
-app.post("/new-contract", async (req, res) => {
+app.post("/new-contract", requireRole("deploy"), async (req, res) => {
   const { contractName, contractType = "erc", template = "erc20" } = req.body;
   
   if (!contractName) {
     return res.status(400).json({ error: "Contract name is required" });
   }
 
-  if (fs.existsSync(contractName)) {
+  let args;
+  try {
+    args = buildNewContractArgs({ contractName, contractType, template });
+  } catch (error) {
+    if (!(error instanceof PopArgsError)) throw error;
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (fs.existsSync(popRunner.contractDir(contractName))) {
     return res.status(400).json({ error: `Contract ${contractName} already exists` });
   }
 
-  const command = `pop new contract ${contractName} --contract-type ${contractType} --template ${template}`;
-  
-  exec(command, (error, stdout, stderr) => {
-    if (error) {
+  try {
+    const { code, stdout, stderr } = await popRunner.run(args, {
+      env: { ...process.env, PATH: '/root/.cargo/bin:' + process.env.PATH },
+      timeout: 120000
+    });
+    if (code !== 0) {
       return res.status(500).json({ 
         error: "Failed to create contract", 
-        details: stderr || error.message 
+        details: stderr || `pop new exited with ${code}`
       });
     }
     
@@ -112,352 +552,795 @@ app.post("/new-contract", async (req, res) => {
       contractName,
       logs: stdout 
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to create contract", details: error.message });
+  }
 });
 
+// Build and deploy run as jobs - follow them at GET /jobs/:jobId and
+// GET /jobs/:jobId/logs?stream=true
+const BUILD_TIMEOUT_SECONDS = 300; // 5 minute timeout
+const DEPLOY_TIMEOUT_SECONDS = 120; // 2 minute timeout
+
+// Signer secret URIs of queued deploy jobs. Kept in memory only so they never
+// end up in the job store; a restart loses them and fails those jobs.
+const jobSecrets = new Map(); // jobId -> suri
+
 // Endpoint to build a contract
-app.post("/build", async (req, res) => {
+app.post("/build", requireRole("deploy"), async (req, res) => {
   const { contractName } = req.body;
   
   if (!contractName) {
     return res.status(400).json({ error: "Contract name is required" });
   }
 
-  if (!fs.existsSync(contractName)) {
+  const contractDir = getContractDir(contractName, res);
+  if (!contractDir) return;
+  if (!fs.existsSync(contractDir)) {
     return res.status(404).json({ error: `Contract ${contractName} not found` });
   }
-
-  const command = `cd ${contractName} && pop build`;
   
-  exec(command, { timeout: 300000 }, (error, stdout, stderr) => { // 5 minute timeout
-    if (error) {
-      return res.status(500).json({ 
-        error: "Failed to build contract", 
-        details: stderr || error.message 
-      });
-    }
-    
-    res.json({ 
-      success: true, 
-      message: `Contract ${contractName} built successfully`,
-      contractName,
-      logs: stdout 
-    });
+  const timeout = parseTimeout(req.body, res);
+  if (timeout === null) return;
+
+  const job = createJob(contractName, null, {
+    type: 'build',
+    timeoutSeconds: timeout || BUILD_TIMEOUT_SECONDS,
+    owner: req.client.name,
+    clientId: getClientId(req)
+  });
+  
+  enqueueJob(job.id);
+  const queuePosition = getQueuePosition(job.id);
+  
+  res.json({
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    message: "Build job queued successfully",
+    created_at: job.createdAt,
+    queue_position: queuePosition,
+    estimated_wait_seconds: estimateWaitSeconds(queuePosition)
   });
 });
 
+// Every successful /deploy is recorded here, see GET /deployments
+const deployments = new DeploymentRegistry(process.env.DEPLOYMENTS_FILE || "/app/deployments/deployments.json");
+
+function formatDeployment(deployment) {
+  return {
+    id: deployment.id,
+    contract_name: deployment.contractName,
+    address: deployment.address,
+    code_hash: deployment.codeHash,
+    tx_hash: deployment.txHash,
+    chain: deployment.chain,
+    url: deployment.url,
+    constructor: deployment.constructorName,
+    args: deployment.args,
+    value: deployment.value,
+    deployer: deployment.deployer,
+    client: deployment.client,
+    deployed_at: deployment.deployedAt
+  };
+}
+
 // Endpoint to deploy a contract
-app.post("/deploy", async (req, res) => {
-  const { contractName } = req.body;
+// Body: { contractName, constructor, args, value, gas, proofSize, suri, url | chain, timeout }
+app.post("/deploy", requireRole("deploy"), async (req, res) => {
+  const { contractName, chain, url, suri } = req.body;
   
   if (!contractName) {
     return res.status(400).json({ error: "Contract name is required" });
   }
+  if (chain !== undefined && url !== undefined) {
+    return res.status(400).json({ error: "Pass either chain or url, not both" });
+  }
+  
+  // Without a chain or url pop up picks its default endpoint
+  if (chain !== undefined && !getTargetChain(chain, res)) return;
 
-  if (!fs.existsSync(contractName)) {
+  const contractDir = getContractDir(contractName, res);
+  if (!contractDir) return;
+  if (!fs.existsSync(contractDir)) {
     return res.status(404).json({ error: `Contract ${contractName} not found` });
   }
 
-  // Check if contract is built (target directory exists)
-  const targetDir = path.join(contractName, "target");
-  if (!fs.existsSync(targetDir)) {
+  let metadata;
+  try {
+    metadata = loadContractMetadata(contractName);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to read contract metadata", details: error.message });
+  }
+  if (!metadata) {
     return res.status(400).json({ 
       error: `Contract ${contractName} must be built before deployment. Use /build endpoint first.` 
     });
   }
-
-  const command = `cd ${contractName} && pop up`;
   
-  exec(command, { timeout: 120000 }, (error, stdout, stderr) => { // 2 minute timeout
-    if (error) {
-      return res.status(500).json({ 
-        error: "Failed to deploy contract", 
-        details: stderr || error.message 
-      });
-    }
-
-    const match = stdout.match(/Contract address: (0x[a-fA-F0-9]+)/);
-    const address = match ? match[1] : "Not found";
-
-    res.json({ 
-      success: true, 
-      message: `Contract ${contractName} deployed successfully`,
-      contractName,
-      address, 
-      logs: stdout 
+  const timeout = parseTimeout(req.body, res);
+  if (timeout === null) return;
+
+  // Options are checked now and turned into pop arguments when the job runs,
+  // once the chain's current URL is known. The suri stays out of the job.
+  const { args, value, gas, proofSize } = req.body;
+  const params = { args, value, gas, proofSize, url, chain, signed: suri !== undefined };
+  // pop up calls `new` unless told otherwise
+  let constructorName = "new";
+  if (Object.prototype.hasOwnProperty.call(req.body, 'constructor')) {
+    params.constructor = constructorName = req.body.constructor;
+  }
+  const spec = typeof constructorName === 'string' ? findConstructor(metadata, constructorName) : null;
+  if (!spec) {
+    return res.status(400).json({ 
+      error: `Contract ${contractName} has no constructor ${constructorName}`,
+      constructors: metadata.spec.constructors.map(entry => entry.label)
     });
+  }
+  if (value !== undefined && String(value) !== "0" && !spec.payable) {
+    return res.status(400).json({ error: `${constructorName} is not payable` });
+  }
+  
+  try {
+    checkArgs(spec, args);
+    buildDeployArgs({ ...params, url: chain !== undefined ? "ws://127.0.0.1" : url, suri });
+  } catch (error) {
+    if (!(error instanceof MetadataError) && !(error instanceof PopArgsError)) throw error;
+    return res.status(400).json({ error: "Invalid deployment options", details: error.message });
+  }
+  
+  const job = createJob(contractName, null, {
+    type: 'deploy',
+    timeoutSeconds: timeout || DEPLOY_TIMEOUT_SECONDS,
+    params,
+    owner: req.client.name,
+    clientId: getClientId(req)
+  });
+  if (suri !== undefined) {
+    jobSecrets.set(job.id, suri);
+  }
+  
+  enqueueJob(job.id);
+  const queuePosition = getQueuePosition(job.id);
+  
+  res.json({
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    message: "Deployment job queued successfully",
+    created_at: job.createdAt,
+    queue_position: queuePosition,
+    estimated_wait_seconds: estimateWaitSeconds(queuePosition)
   });
 });
 
-// Endpoint to compile Rust contract code
-app.post("/compile", async (req, res) => {
-  const { code, contractName = "temp_contract" } = req.body;
+// Add a finished deployment to the registry. Returns null when pop's output
+// had no address, as such a deployment couldn't be found again later.
+function recordDeployment(job, url, output) {
+  const { address, codeHash, txHash, events } = output;
+  if (!address) {
+    return null;
+  }
   
-  if (!code) {
-    return res.status(400).json({ error: "Rust contract code is required" });
+  let metadata = null;
+  try {
+    metadata = loadContractMetadata(job.contractName);
+  } catch (metadataError) {
+    console.warn("Failed to read contract metadata:", metadataError.message);
   }
+  const params = job.params || {};
+  const instantiated = events.find(event => event.name === 'Instantiated');
+  return deployments.add({
+    contractName: job.contractName,
+    address,
+    codeHash: codeHash || (metadata && metadata.source ? metadata.source.hash : null),
+    txHash,
+    chain: params.chain || null,
+    url: url || null,
+    constructorName: Object.prototype.hasOwnProperty.call(params, 'constructor') ? params.constructor : "new",
+    args: params.args || [],
+    value: params.value !== undefined ? String(params.value) : "0",
+    deployer: instantiated ? instantiated.fields.deployer || null : null, // Signing account
+    client: job.owner // API key that requested the deployment
+  });
+}
 
-  // Use persistent directories for caching
-  const baseDir = "/app/compile_cache";
-  const cargoHome = path.join(baseDir, "cargo_home");
-  const targetDir = path.join(baseDir, "target");
-  const tempDir = path.join(baseDir, "temp", `${contractName}_${Date.now()}`);
+// Build and deploy job processor - runs pop in the contract's directory
+async function processPopJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) return;
+  
+  const { label } = JOB_COMMANDS[job.type];
+  const params = job.params || {};
+  const running = { child: null, stopReason: null };
+  runningProcesses.set(jobId, running);
+  let timeoutTimer = null;
   
   try {
-    // Ensure cache directories exist
-    fs.mkdirSync(baseDir, { recursive: true });
-    fs.mkdirSync(cargoHome, { recursive: true });
-    fs.mkdirSync(targetDir, { recursive: true });
-    fs.mkdirSync(tempDir, { recursive: true });
+    updateJob(jobId, { 
+      status: JOB_STATUS.RUNNING, 
+      startedAt: new Date().toISOString() 
+    });
+    
+    addJobLog(jobId, 'info', `Starting ${label.toLowerCase()}...`);
+    
+    let { args } = JOB_COMMANDS[job.type];
+    let url = params.url;
+    if (job.type === 'deploy') {
+      // Local chains listen on a new port after every start
+      if (params.chain) {
+        const chain = chains.get(params.chain);
+        if (!chain || chain.status !== CHAIN_STATUS.RUNNING) {
+          throw new Error(`Chain ${params.chain} is not running`);
+        }
+        url = chain.node.wsUrl;
+      }
+      if (params.signed && !jobSecrets.has(jobId)) {
+        throw new Error("The signer's secret URI was lost in a server restart - submit the deployment again");
+      }
+      args = buildDeployArgs({ ...params, url, suri: jobSecrets.get(jobId) });
+    }
     
-    // Create optimized Cargo.toml for ink! contract with shared target
-    const cargoToml = `[package]
-name = "${contractName}"
-version = "6.0.0-alpha"
-authors = ["Use Ink <ink@use.ink>"]
-edition = "2021"
-publish = false
-
-[dependencies]
-ink = { version = "6.0.0-alpha", default-features = false, features = ["unstable-hostfn"] }
-
-[dev-dependencies]
-ink_e2e = { version = "6.0.0-alpha", default-features = false }
-
-[lib]
-path = "lib.rs"
-
-[features]
-default = ["std"]
-std = [
-    "ink/std",
-]
-ink-as-dependency = []
-e2e-tests = []
-
-[profile.dev]
-incremental = true
-codegen-units = 256
-
-[profile.release]
-incremental = true
-codegen-units = 16
-lto = "thin"
-`;
+    const contractDir = popRunner.contractDir(job.contractName);
+    const child = popRunner.spawn(args, {
+      cwd: contractDir,
+      env: {
+        ...process.env,
+        PATH: '/root/.cargo/bin:' + process.env.PATH
+      },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true // Own process group so the whole build tree can be killed
+    });
+    running.child = child;
     
-    fs.writeFileSync(path.join(tempDir, "Cargo.toml"), cargoToml);
+    timeoutTimer = setTimeout(() => {
+      running.stopReason = JOB_STATUS.TIMED_OUT;
+      addJobLog(jobId, 'error', `${label} exceeded the ${job.timeoutSeconds}s timeout`);
+      killProcessTree(child);
+    }, job.timeoutSeconds * 1000);
     
-    // Write the provided Rust code to lib.rs (in root directory as per Cargo.toml)
-    fs.writeFileSync(path.join(tempDir, "lib.rs"), code);
+    child.stdout.on('data', (data) => addJobLog(jobId, 'stdout', data.toString()));
+    child.stderr.on('data', (data) => addJobLog(jobId, 'stderr', data.toString()));
     
-    // Run optimized compilation with shared cache and parallel builds
-    const command = `cd ${tempDir} && pop build`;
-    const env = {
-      ...process.env,
-      CARGO_HOME: cargoHome,
-      CARGO_TARGET_DIR: targetDir,
-      CARGO_INCREMENTAL: "1",
-      RUSTC_WRAPPER: "", // Disable sccache if present to avoid conflicts
-      CARGO_BUILD_JOBS: "4" // Use 4 parallel jobs
-    };
+    const code = await new Promise((resolve, reject) => {
+      child.on('error', reject);
+      child.on('close', resolve);
+    });
+    updateJob(jobId, { exitCode: code });
     
-    exec(command, { 
-      timeout: 300000, 
-      env: env,
-      maxBuffer: 1024 * 1024 * 10 // 10MB buffer for large outputs
-    }, (error, stdout, stderr) => {
-      // Clean up temporary directory
+    if (running.stopReason === JOB_STATUS.CANCELLED) {
+      updateJob(jobId, {
+        status: JOB_STATUS.CANCELLED,
+        completedAt: new Date().toISOString(),
+        error: "Job cancelled"
+      });
+      addJobLog(jobId, 'error', `${label} cancelled`);
+    } else if (running.stopReason === JOB_STATUS.TIMED_OUT) {
+      updateJob(jobId, {
+        status: JOB_STATUS.TIMED_OUT,
+        completedAt: new Date().toISOString(),
+        error: `${label} timed out after ${job.timeoutSeconds}s`
+      });
+    } else if (code !== 0) {
+      updateJob(jobId, {
+        status: JOB_STATUS.FAILED,
+        completedAt: new Date().toISOString(),
+        error: `${label} failed`
+      });
+      addJobLog(jobId, 'error', `${label} failed with exit code ${code}`);
+    } else if (job.type === 'build') {
+      let artifacts = null;
       try {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-      } catch (cleanupError) {
-        console.warn("Failed to cleanup temp directory:", cleanupError.message);
-      }
-      
-      if (error) {
-        // Parse Rust compilation errors for better formatting
-        const errorOutput = stderr || error.message;
-        const rustErrors = parseRustErrors(errorOutput);
-        
-        return res.status(400).json({ 
-          success: false,
-          error: "Compilation failed", 
-          details: errorOutput,
-          rustErrors: rustErrors,
-          logs: stdout || ""
-        });
+        artifacts = collectArtifacts(path.join(contractDir, "target"), job.contractName, path.join(ARTIFACTS_DIR, jobId));
+      } catch (artifactError) {
+        addJobLog(jobId, 'error', `Failed to collect artifacts: ${artifactError.message}`);
       }
-      
-      // Compilation successful
-      res.json({ 
-        success: true, 
-        message: "Contract compiled successfully",
-        contractName,
-        logs: stdout,
-        details: "Contract compiled without errors"
+      updateJob(jobId, {
+        status: JOB_STATUS.COMPLETED,
+        completedAt: new Date().toISOString(),
+        result: "Build successful",
+        artifacts
       });
-    });
-    
-  } catch (setupError) {
-    // Clean up on setup error
-    try {
-      if (fs.existsSync(tempDir)) {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-      }
-    } catch (cleanupError) {
-      console.warn("Failed to cleanup temp directory:", cleanupError.message);
+      addJobLog(jobId, 'success', `Contract ${job.contractName} built successfully`);
+    } else {
+      const output = parseDeployOutput(getJob(jobId).stdout);
+      const deployment = recordDeployment(job, url, output);
+      updateJob(jobId, {
+        status: JOB_STATUS.COMPLETED,
+        completedAt: new Date().toISOString(),
+        result: "Deployment successful",
+        deployment: {
+          ...output,
+          codeHash: deployment ? deployment.codeHash : output.codeHash,
+          deploymentId: deployment ? deployment.id : null,
+          chain: params.chain || null,
+          url: url || null
+        }
+      });
+      addJobLog(jobId, 'success', output.address
+        ? `Contract ${job.contractName} deployed at ${output.address}`
+        : 'Deployment finished, but the contract address was not found in pop output - deployment not recorded');
     }
-    
-    return res.status(500).json({ 
-      error: "Failed to setup compilation environment", 
-      details: setupError.message 
+  } catch (error) {
+    updateJob(jobId, {
+      status: JOB_STATUS.FAILED,
+      completedAt: new Date().toISOString(),
+      error: error.message
     });
+    addJobLog(jobId, 'error', `${label} error: ${error.message}`);
+  } finally {
+    clearTimeout(timeoutTimer);
+    runningProcesses.delete(jobId);
+    jobSecrets.delete(jobId);
   }
-});
+}
+
+// Metadata of a contract built with /build, or null if there is none
+function loadContractMetadata(contractName) {
+  const artifactDir = findArtifactDir(path.join(popRunner.contractDir(contractName), "target"), contractName);
+  if (!artifactDir) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(path.join(artifactDir, `${getArtifactName(contractName)}.json`), 'utf8'));
+}
 
-// Helper function to parse Rust compilation errors
-function parseRustErrors(errorOutput) {
-  const errors = [];
-  const lines = errorOutput.split('\n');
+// Call a message of a deployed contract - dry-run by default, signed and
+// submitted with execute: true. Arguments are checked against the metadata.
+// The contract is given by name (its latest deployment on the target is
+// called), by address, or both.
+// Body: { contractName, address, message, args, execute, value, gas, proofSize, suri, url | chain }
+app.post("/call", requireRole("deploy"), async (req, res) => {
+  const { message, args = [], execute = false, value, chain, url } = req.body;
+  let { contractName, address } = req.body;
   
-  let currentError = null;
+  if ((!contractName && !address) || !message) {
+    return res.status(400).json({ error: "message and a contractName or address are required" });
+  }
+  if (chain !== undefined && url !== undefined) {
+    return res.status(400).json({ error: "Pass either chain or url, not both" });
+  }
   
-  for (const line of lines) {
-    // Match error lines like "error[E0308]: mismatched types"
-    const errorMatch = line.match(/^error\[([^\]]+)\]: (.+)$/);
-    if (errorMatch) {
-      if (currentError) {
-        errors.push(currentError);
-      }
-      currentError = {
-        code: errorMatch[1],
-        message: errorMatch[2],
-        details: []
-      };
-      continue;
-    }
-    
-    // Match location lines like "  --> src/lib.rs:10:5"
-    const locationMatch = line.match(/^\s*-->\s*(.+):(\d+):(\d+)$/);
-    if (locationMatch && currentError) {
-      currentError.location = {
-        file: locationMatch[1],
-        line: parseInt(locationMatch[2]),
-        column: parseInt(locationMatch[3])
-      };
-      continue;
+  let targetChain = null;
+  if (chain !== undefined) {
+    targetChain = getTargetChain(chain, res);
+    if (!targetChain) return;
+  }
+  
+  if (!contractName) {
+    const deployment = typeof address === 'string' ? deployments.list({ address })[0] : null;
+    if (!deployment) {
+      return res.status(404).json({ error: `No deployment recorded at ${address} - pass contractName too` });
     }
-    
-    // Add other relevant lines to current error details
-    if (currentError && line.trim() && !line.startsWith('Compiling') && !line.startsWith('Finished')) {
-      currentError.details.push(line);
+    contractName = deployment.contractName;
+  }
+  if (!address) {
+    const deployment = deployments.latest(contractName, targetChain ? { chain: targetChain.name } : { url });
+    if (!deployment) {
+      return res.status(404).json({ error: `No deployment of ${contractName} recorded on this chain - pass its address` });
     }
+    address = deployment.address;
   }
   
-  // Add the last error if exists
-  if (currentError) {
-    errors.push(currentError);
+  const contractDir = getContractDir(contractName, res);
+  if (!contractDir) return;
+  if (!fs.existsSync(contractDir)) {
+    return res.status(404).json({ error: `Contract ${contractName} not found` });
   }
   
-  return errors;
-}
-
-// ===== JOB QUEUE COMPILATION ENDPOINTS =====
-
-// Submit compilation job - returns job_id immediately
-app.post("/compile-job", async (req, res) => {
-  const { code, contractName = "temp_contract" } = req.body;
+  let metadata;
+  try {
+    metadata = loadContractMetadata(contractName);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to read contract metadata", details: error.message });
+  }
+  if (!metadata) {
+    return res.status(400).json({ 
+      error: `Contract ${contractName} must be built before it can be called. Use /build endpoint first.` 
+    });
+  }
+  
+  const spec = typeof message === 'string' ? findMessage(metadata, message) : null;
+  if (!spec) {
+    return res.status(400).json({ 
+      error: `Contract ${contractName} has no message ${message}`,
+      messages: metadata.spec.messages.map(entry => entry.label)
+    });
+  }
+  if (execute && !spec.mutates) {
+    return res.status(400).json({ error: `${message} doesn't change state - call it without execute` });
+  }
+  if (value !== undefined && String(value) !== "0" && !spec.payable) {
+    return res.status(400).json({ error: `${message} is not payable` });
+  }
+  
+  let popArgs;
+  try {
+    checkArgs(spec, args);
+    popArgs = buildCallArgs({ ...req.body, address, args, url: targetChain ? targetChain.node.wsUrl : url });
+  } catch (error) {
+    if (!(error instanceof MetadataError) && !(error instanceof PopArgsError)) throw error;
+    return res.status(400).json({ error: "Invalid call", details: error.message });
+  }
+  
+  let result;
+  try {
+    result = await popRunner.run(popArgs, {
+      cwd: contractDir,
+      env: { ...process.env, PATH: '/root/.cargo/bin:' + process.env.PATH },
+      timeout: 120000 // 2 minute timeout
+    });
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to run pop", details: error.message });
+  }
+  
+  const { code, stdout, stderr, timedOut } = result;
+  if (code !== 0) {
+    return res.status(500).json({ 
+      error: execute ? "Failed to submit call" : "Dry-run failed", 
+      details: stderr || (timedOut ? "pop call timed out after 120s" : `pop call exited with ${code}`),
+      logs: stdout
+    });
+  }
+  
+  const { returnValue, decoded, gasUsed, txHash, events } = parseCallOutput(stdout);
+  
+  res.json({
+    success: true,
+    contractName,
+    address,
+    message,
+    mutates: spec.mutates,
+    executed: Boolean(execute),
+    chain: targetChain ? targetChain.name : null,
+    url: targetChain ? targetChain.node.wsUrl : url || null,
+    returnValue,
+    decoded,
+    gasUsed,
+    txHash,
+    events,
+    logs: stdout
+  });
+});
+
+// Crates and ink! versions compile requests may use (CRATE_ALLOWLIST_FILE)
+const crateAllowlist = loadAllowlist();
+
+// Project of a compile request: the files (a `files` map, a base64 `archive` or
+// a single `code` string for lib.rs) and the manifest options (inkVersion,
+// dependencies, devDependencies, features). The contractName is checked too.
+// Sends a 400 and returns null when invalid.
+function getCompileProject(req, res) {
+  try {
+    // Becomes the package name in Cargo.toml
+    if (req.body.contractName !== undefined) {
+      validatePackageName(req.body.contractName);
+    }
+    return {
+      files: resolveProjectFiles(req.body),
+      manifest: resolveManifestOptions(req.body, crateAllowlist)
+    };
+  } catch (error) {
+    if (!(error instanceof ProjectFilesError) && !(error instanceof ManifestError) && !(error instanceof PopArgsError)) throw error;
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+// Stop a compilation when the client of a synchronous or streaming request goes away
+function stopOnDisconnect(res, compilation) {
+  res.on('close', () => {
+    if (!res.writableEnded) compilation.stop('disconnected');
+  });
+}
+
+// Endpoint to compile Rust contract code
+app.post("/compile", requireRole("compile"), limitCompiles({ sync: true }), async (req, res) => {
+  const { contractName = "temp_contract", cache = true } = req.body;
+  
+  const project = getCompileProject(req, res);
+  if (!project) return;
+  const { files, manifest } = project;
+  
+  // Identical source, manifest and toolchain return the stored build
+  const compilation = compiler.compile({ contractName, files, manifest, cache, owner: getClientId(req) });
+  stopOnDisconnect(res, compilation);
+  
+  let result;
+  try {
+    result = await compilation.run();
+  } catch (setupError) {
+    return res.status(500).json({ 
+      error: "Failed to setup compilation environment", 
+      details: setupError.message 
+    });
+  }
+  
+  if (result.stopReason === 'disconnected') return;
+  if (result.stopReason === 'timeout') {
+    return res.status(504).json({ 
+      success: false,
+      error: `Compilation timed out after ${COMPILE_TIMEOUT_MS / 1000}s`,
+      details: result.stderr,
+      logs: result.stdout
+    });
+  }
   
-  if (!code) {
-    return res.status(400).json({ error: "Rust contract code is required" });
+  if (!result.success) {
+    const { limitExceeded } = result;
+    return res.status(400).json({ 
+      success: false,
+      error: limitExceeded ? `Compilation failed: ${limitExceeded.message}` : "Compilation failed", 
+      details: result.stderr || `pop build exited with ${result.signal || result.exitCode}`,
+      rustErrors: result.rustErrors,
+      diagnostics: result.diagnostics,
+      summary: result.summary,
+      limitExceeded,
+      logs: result.stdout
+    });
   }
   
+  const { artifacts } = result;
+  res.json({ 
+    success: true, 
+    message: "Contract compiled successfully",
+    contractName,
+    logs: result.stdout,
+    warnings: result.stderr,
+    details: "Contract compiled without errors",
+    diagnostics: result.diagnostics,
+    cache_hit: result.cacheHit,
+    cacheKey: result.cacheKey,
+    codeHash: artifacts ? artifacts.codeHash : null,
+    metadata: artifacts ? artifacts.metadata : null,
+    bytecode: artifacts ? artifacts.bytecode : null
+  });
+});
+
+// ===== JOB QUEUE COMPILATION ENDPOINTS =====
+// Status, logs, artifacts, cancellation and listing work for every job type.
+// They are served under /compile-job(s) for compile clients and under /jobs
+// for any authenticated client, e.g. deploy clients following build jobs.
+
+// Submit compilation job - returns job_id immediately
+app.post("/compile-job", requireRole("compile"), limitCompiles({ sync: false }), async (req, res) => {
+  const { contractName = "temp_contract", cache = true } = req.body;
+  
+  const project = getCompileProject(req, res);
+  if (!project) return;
+  const { files, manifest } = project;
+  
+  const timeout = parseTimeout(req.body, res);
+  if (timeout === null) return;
+  
   // Create job and return immediately
-  const job = createJob(contractName, code);
+  const cacheKey = compiler.cacheKey(contractName, files, manifest);
+  const job = createJob(contractName, files, {
+    timeoutSeconds: timeout,
+    cacheKey,
+    manifest,
+    owner: req.client.name,
+    clientId: req.clientId
+  });
+  
+  const cached = cache ? compiler.fromCache(cacheKey, contractName, path.join(ARTIFACTS_DIR, job.id)) : null;
+  if (cached) {
+    completeJobFromCache(job.id, cached);
+    return res.json({
+      job_id: job.id,
+      status: job.status,
+      message: "Compilation result served from cache",
+      created_at: job.createdAt,
+      cache_hit: true
+    });
+  }
   
-  // Set CORS headers
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  // Queue compilation - it starts as soon as a worker is free
+  enqueueJob(job.id);
+  const queuePosition = getQueuePosition(job.id);
   
   res.json({
     job_id: job.id,
     status: job.status,
     message: "Compilation job queued successfully",
-    created_at: job.createdAt
+    created_at: job.createdAt,
+    cache_hit: false,
+    queue_position: queuePosition,
+    estimated_wait_seconds: estimateWaitSeconds(queuePosition)
   });
-  
-  // Start compilation asynchronously
-  setImmediate(() => processCompilationJob(job.id));
 });
 
 // Get job status and results
-app.get("/compile-job/:jobId", (req, res) => {
+function handleGetJob(req, res) {
   const { jobId } = req.params;
-  const job = getJob(jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: "Job not found" });
-  }
+  const job = getClientJob(req, res);
+  if (!job) return;
   
   // Return job status and results
   const response = {
     job_id: job.id,
+    type: job.type || 'compile',
     status: job.status,
     contract_name: job.contractName,
     created_at: job.createdAt,
     started_at: job.startedAt,
     completed_at: job.completedAt,
-    exit_code: job.exitCode
+    exit_code: job.exitCode,
+    cache_hit: job.cacheHit,
+    // Build dir of compile, check and test jobs: how long the job waited for it and held it
+    target_lease: job.targetLease ? {
+      slot: job.targetLease.slot,
+      wait_ms: job.targetLease.waitMs,
+      lease_ms: job.targetLease.leaseMs,
+      seeded: job.targetLease.seeded
+    } : null
   };
   
   // Include results based on status
-  if (job.status === JOB_STATUS.COMPLETED) {
+  if (job.status === JOB_STATUS.QUEUED) {
+    response.queue_position = getQueuePosition(job.id);
+    response.estimated_wait_seconds = estimateWaitSeconds(response.queue_position);
+  } else if (job.status === JOB_STATUS.COMPLETED && job.type === 'check') {
+    response.result = {
+      message: "Contract type-checked successfully",
+      logs: job.stderr,
+      diagnostics: job.diagnostics || [],
+      summary: summarizeDiagnostics(job.diagnostics || [])
+    };
+  } else if (job.status === JOB_STATUS.COMPLETED && job.type === 'test') {
+    response.result = {
+      message: "All tests passed",
+      mode: job.testMode || 'unit',
+      logs: job.stderr,
+      diagnostics: job.diagnostics || [],
+      tests: job.testReport.tests,
+      test_summary: job.testReport.summary
+    };
+  } else if (job.status === JOB_STATUS.COMPLETED && job.type === 'build') {
+    response.result = {
+      message: `Contract ${job.contractName} built successfully`,
+      logs: job.stdout,
+      code_hash: job.artifacts ? job.artifacts.codeHash : null,
+      artifacts: job.artifacts ? job.artifacts.files.map(file => ({
+        ...file,
+        url: `/jobs/${job.id}/artifacts/${file.name}`
+      })) : []
+    };
+  } else if (job.status === JOB_STATUS.COMPLETED && job.type === 'deploy') {
+    const deployment = job.deployment;
+    response.result = {
+      message: "Contract deployed successfully",
+      logs: job.stdout,
+      address: deployment.address,
+      code_hash: deployment.codeHash,
+      tx_hash: deployment.txHash,
+      events: deployment.events,
+      deployment_id: deployment.deploymentId,
+      chain: deployment.chain,
+      url: deployment.url
+    };
+    if (!deployment.address) {
+      response.result.warning = "Contract address not found in pop output - deployment not recorded";
+    }
+  } else if (job.status === JOB_STATUS.COMPLETED) {
     response.result = {
       message: "Contract compiled successfully",
       logs: job.stdout,
-      details: "Compilation completed without errors"
+      details: "Compilation completed without errors",
+      diagnostics: job.diagnostics || [],
+      code_hash: job.artifacts ? job.artifacts.codeHash : null,
+      metadata: job.artifacts ? job.artifacts.metadata : null,
+      bytecode: job.artifacts ? job.artifacts.bytecode : null,
+      artifacts: job.artifacts ? job.artifacts.files.map(file => ({
+        ...file,
+        url: `/compile-job/${job.id}/artifacts/${file.name}`
+      })) : []
+    };
+  } else if (job.status === JOB_STATUS.CANCELLED || job.status === JOB_STATUS.TIMED_OUT) {
+    response.error = {
+      message: job.error,
+      details: job.stderr,
+      logs: job.stdout
+    };
+  } else if (job.status === JOB_STATUS.INTERRUPTED) {
+    response.error = {
+      message: job.error,
+      logs: job.stdout
     };
   } else if (job.status === JOB_STATUS.FAILED) {
     response.error = {
       message: job.error || "Compilation failed",
       details: job.stderr,
       logs: job.stdout,
-      rust_errors: parseRustErrors(job.stderr)
+      rust_errors: parseRustErrors(job.stderr, job.workDir),
+      diagnostics: job.diagnostics || [],
+      summary: summarizeDiagnostics(job.diagnostics || []),
+      limit_exceeded: job.limitExceeded || null
     };
+    // Failed tests - the build itself succeeded
+    if (job.testReport) {
+      response.error.tests = job.testReport.tests;
+      response.error.test_summary = job.testReport.summary;
+    }
   }
   
   res.json(response);
-});
+}
 
-// Get job logs (streaming or complete)
-app.get("/compile-job/:jobId/logs", (req, res) => {
+app.get("/compile-job/:jobId", requireRole("compile"), handleGetJob);
+app.get("/jobs/:jobId", auth.authenticate, handleGetJob);
+
+// Cancel a queued or running job
+function handleCancelJob(req, res) {
   const { jobId } = req.params;
-  const { stream } = req.query;
-  const job = getJob(jobId);
+  const job = getClientJob(req, res);
+  if (!job) return;
+  
+  if (!cancelJob(jobId)) {
+    return res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+  }
+  
+  res.json({
+    job_id: jobId,
+    status: getJob(jobId).status,
+    message: "Job cancellation requested"
+  });
+}
+
+app.delete("/compile-job/:jobId", requireRole("compile"), handleCancelJob);
+app.post("/compile-job/:jobId/cancel", requireRole("compile"), handleCancelJob);
+app.delete("/jobs/:jobId", auth.authenticate, handleCancelJob);
+app.post("/jobs/:jobId/cancel", auth.authenticate, handleCancelJob);
+
+// Download a compiled artifact of a finished job
+function handleJobArtifact(req, res) {
+  const { jobId, name } = req.params;
+  const job = getClientJob(req, res);
+  if (!job) return;
   
-  if (!job) {
-    return res.status(404).json({ error: "Job not found" });
+  // Only serve files recorded for this job so the name can't escape the artifact dir
+  const artifact = job.artifacts && job.artifacts.files.find(file => file.name === name);
+  if (!artifact) {
+    return res.status(404).json({ error: `Artifact ${name} not found` });
   }
   
+  res.download(path.join(ARTIFACTS_DIR, jobId, artifact.name), artifact.name);
+}
+
+app.get("/compile-job/:jobId/artifacts/:name", requireRole("compile"), handleJobArtifact);
+app.get("/jobs/:jobId/artifacts/:name", auth.authenticate, handleJobArtifact);
+
+// Get job logs (streaming or complete)
+function handleJobLogs(req, res) {
+  const { jobId } = req.params;
+  const { stream } = req.query;
+  const job = getClientJob(req, res);
+  if (!job) return;
+  
   if (stream === 'true') {
     // Stream logs in real-time
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*'
+      'Connection': 'keep-alive'
     });
     
-    // Send existing logs
-    job.logs.forEach(log => {
-      res.write(`event: ${log.type}\n`);
-      res.write(`data: ${JSON.stringify({ ...log, job_id: jobId })}\n\n`);
-    });
+    // Send the logs from index `sent` on
+    let sent = 0;
+    const sendLogs = (logs) => {
+      logs.slice(sent).forEach(log => {
+        res.write(`event: ${log.type}\n`);
+        res.write(`data: ${JSON.stringify({ ...log, job_id: jobId })}\n\n`);
+      });
+      sent = logs.length;
+    };
+    sendLogs(job.logs);
     
-    // Keep connection alive for running jobs
-    if (job.status === JOB_STATUS.RUNNING || job.status === JOB_STATUS.QUEUED) {
+    // Keep connection alive for running jobs, sending new logs as they come
+    if (!isJobFinished(job)) {
       const interval = setInterval(() => {
         const currentJob = getJob(jobId);
-        if (!currentJob || currentJob.status === JOB_STATUS.COMPLETED || currentJob.status === JOB_STATUS.FAILED) {
+        if (currentJob) sendLogs(currentJob.logs);
+        if (!currentJob || isJobFinished(currentJob)) {
           res.write(`event: complete\n`);
           res.write(`data: ${JSON.stringify({ job_id: jobId, status: currentJob?.status })}\n\n`);
           res.end();
@@ -481,154 +1364,121 @@ app.get("/compile-job/:jobId/logs", (req, res) => {
       stderr: job.stderr
     });
   }
-});
+}
+
+app.get("/compile-job/:jobId/logs", requireRole("compile"), handleJobLogs);
+app.get("/jobs/:jobId/logs", auth.authenticate, handleJobLogs);
+
+// List jobs of every type - paginated, filterable by type, status and contract name, sorted by date
+const JOB_SORT_FIELDS = {
+  created_at: 'createdAt',
+  started_at: 'startedAt',
+  completed_at: 'completedAt'
+};
 
-// List all jobs
-app.get("/compile-jobs", (req, res) => {
-  const jobList = Array.from(jobs.values()).map(job => ({
+function handleListJobs(req, res) {
+  const { type, status, contract, sort = "created_at", order = "desc" } = req.query;
+  const page = parseInt(req.query.page || "1", 10);
+  const limit = parseInt(req.query.limit || "50", 10);
+  
+  if (!(page >= 1) || !(limit >= 1 && limit <= 200)) {
+    return res.status(400).json({ error: "page must be >= 1 and limit between 1 and 200" });
+  }
+  
+  const sortField = Object.prototype.hasOwnProperty.call(JOB_SORT_FIELDS, sort) ? JOB_SORT_FIELDS[sort] : null;
+  if (!sortField || (order !== "asc" && order !== "desc")) {
+    return res.status(400).json({ 
+      error: `sort must be one of ${Object.keys(JOB_SORT_FIELDS).join(", ")} and order asc or desc` 
+    });
+  }
+  
+  // type and status accept comma-separated lists, e.g. ?status=failed,timed_out
+  const types = type ? type.split(",") : null;
+  const statuses = status ? status.split(",") : null;
+  
+  const matching = jobStore.list()
+    .filter(job => auth.canAccessJob(req.client, job))
+    .filter(job => !types || types.includes(job.type || 'compile'))
+    .filter(job => !statuses || statuses.includes(job.status))
+    .filter(job => !contract || job.contractName === contract)
+    .sort((a, b) => {
+      // Jobs without the date (e.g. not started yet) go last
+      const left = a[sortField] || "";
+      const right = b[sortField] || "";
+      if (!left || !right) return left ? -1 : right ? 1 : 0;
+      return order === "asc" ? left.localeCompare(right) : right.localeCompare(left);
+    });
+  
+  const jobList = matching.slice((page - 1) * limit, page * limit).map(job => ({
     job_id: job.id,
+    type: job.type || 'compile',
     status: job.status,
     contract_name: job.contractName,
     created_at: job.createdAt,
     started_at: job.startedAt,
-    completed_at: job.completedAt
+    completed_at: job.completedAt,
+    queue_position: getQueuePosition(job.id)
   }));
   
-  res.json({ jobs: jobList, total: jobList.length });
-});
+  res.json({
+    jobs: jobList,
+    total: matching.length,
+    page,
+    limit,
+    total_pages: Math.ceil(matching.length / limit),
+    queue: {
+      running: activeJobs,
+      queued: jobQueue.length,
+      max_concurrent: MAX_CONCURRENT_JOBS
+    }
+  });
+}
+
+app.get("/compile-jobs", requireRole("compile"), handleListJobs);
+app.get("/jobs", auth.authenticate, handleListJobs);
 
 // Async compilation job processor
 async function processCompilationJob(jobId) {
   const job = getJob(jobId);
   if (!job) return;
   
+  // Jobs persisted before check jobs existed have no type
+  const type = job.type || 'compile';
+  const { label } = JOB_COMMANDS[type];
+  const running = { child: null, stopReason: null };
+  runningProcesses.set(jobId, running);
+  
+  const compilation = compiler.compile({
+    type,
+    contractName: job.contractName,
+    // Jobs persisted before multi-file support only have `code`
+    files: job.files || { "lib.rs": job.code },
+    manifest: job.manifest,
+    cache: false, // Looked up when the job was submitted
+    cacheKey: job.cacheKey,
+    timeoutMs: job.timeoutSeconds * 1000,
+    owner: job.clientId,
+    artifactsDir: path.join(ARTIFACTS_DIR, jobId)
+  });
+  compilation.on('status', ({ message }) => addJobLog(jobId, 'info', message));
+  compilation.on('stdout', (output) => addJobLog(jobId, 'stdout', output));
+  compilation.on('stderr', (output) => addJobLog(jobId, 'stderr', output));
+  compilation.on('process', (child) => {
+    running.child = child;
+    if (running.stopReason) killProcessTree(child);
+  });
+  
   try {
-    // Update job status to running
     updateJob(jobId, { 
       status: JOB_STATUS.RUNNING, 
       startedAt: new Date().toISOString() 
     });
     
-    addJobLog(jobId, 'info', 'Starting compilation...');
-    
-    // Setup compilation environment
-    const baseDir = "/app/compile_cache";
-    const cargoHome = path.join(baseDir, "cargo_home");
-    const targetDir = path.join(baseDir, "target");
-    const tempDir = path.join(baseDir, "temp", `${job.contractName}_${Date.now()}`);
-    
-    // Ensure directories exist
-    fs.mkdirSync(baseDir, { recursive: true });
-    fs.mkdirSync(cargoHome, { recursive: true });
-    fs.mkdirSync(targetDir, { recursive: true });
-    fs.mkdirSync(tempDir, { recursive: true });
-    
-    addJobLog(jobId, 'info', 'Created compilation environment');
-    
-    // Create Cargo.toml and lib.rs
-    const cargoToml = `[package]
-name = "${job.contractName}"
-version = "6.0.0-alpha"
-authors = ["Use Ink <ink@use.ink>"]
-edition = "2021"
-publish = false
-
-[dependencies]
-ink = { version = "6.0.0-alpha", default-features = false, features = ["unstable-hostfn"] }
-
-[dev-dependencies]
-ink_e2e = { version = "6.0.0-alpha", default-features = false }
-
-[lib]
-path = "lib.rs"
-
-[features]
-default = ["std"]
-std = [
-    "ink/std",
-]
-ink-as-dependency = []
-e2e-tests = []
-
-[profile.dev]
-incremental = true
-codegen-units = 256
-
-[profile.release]
-incremental = true
-codegen-units = 16
-lto = "thin"`;
-    
-    fs.writeFileSync(path.join(tempDir, "Cargo.toml"), cargoToml);
-    fs.writeFileSync(path.join(tempDir, "lib.rs"), job.code);
-    
-    addJobLog(jobId, 'info', 'Created project files');
-    
-    // Run compilation
-    const child = spawn('/root/.cargo/bin/pop', ['build'], {
-      cwd: tempDir,
-      env: {
-        ...process.env,
-        CARGO_HOME: cargoHome,
-        CARGO_TARGET_DIR: targetDir,
-        CARGO_INCREMENTAL: "1",
-        CARGO_BUILD_JOBS: "4",
-        PATH: '/root/.cargo/bin:' + process.env.PATH
-      },
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    
-    let stdout = '';
-    let stderr = '';
-    
-    child.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      addJobLog(jobId, 'stdout', output);
-    });
-    
-    child.stderr.on('data', (data) => {
-      const output = data.toString();
-      stderr += output;
-      addJobLog(jobId, 'stderr', output);
-    });
-    
-    child.on('close', (code) => {
-      // Cleanup temp directory
-      try {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-      } catch (cleanupError) {
-        console.warn("Failed to cleanup temp directory:", cleanupError.message);
-      }
-      
-      if (code === 0) {
-        updateJob(jobId, {
-          status: JOB_STATUS.COMPLETED,
-          completedAt: new Date().toISOString(),
-          exitCode: code,
-          result: "Compilation successful"
-        });
-        addJobLog(jobId, 'success', 'Compilation completed successfully');
-      } else {
-        updateJob(jobId, {
-          status: JOB_STATUS.FAILED,
-          completedAt: new Date().toISOString(),
-          exitCode: code,
-          error: "Compilation failed"
-        });
-        addJobLog(jobId, 'error', `Compilation failed with exit code ${code}`);
-      }
-    });
-    
-    child.on('error', (error) => {
-      updateJob(jobId, {
-        status: JOB_STATUS.FAILED,
-        completedAt: new Date().toISOString(),
-        error: error.message
-      });
-      addJobLog(jobId, 'error', `Process error: ${error.message}`);
-    });
-    
+    const result = await compilation.run();
+    if (result.stopReason === 'timeout') {
+      addJobLog(jobId, 'error', `${label} exceeded the ${job.timeoutSeconds}s timeout`);
+    }
+    finishCompilationJob(jobId, result, running.stopReason);
   } catch (error) {
     updateJob(jobId, {
       status: JOB_STATUS.FAILED,
@@ -636,460 +1486,970 @@ lto = "thin"`;
       error: error.message
     });
     addJobLog(jobId, 'error', `Setup error: ${error.message}`);
+  } finally {
+    runningProcesses.delete(jobId);
   }
 }
 
-// Streaming compile endpoint - real-time compilation output
-app.post("/compile-stream", async (req, res) => {
-  const { code, contractName = "temp_contract" } = req.body;
+// Record the result of a compile or check job. `stopReason` is set when the
+// job was cancelled.
+function finishCompilationJob(jobId, result, stopReason = null) {
+  const job = getJob(jobId);
+  const { label } = JOB_COMMANDS[job.type || 'compile'];
+  const finished = {
+    completedAt: new Date().toISOString(),
+    exitCode: result.exitCode,
+    cacheHit: result.cacheHit,
+    workDir: result.projectDir, // Maps error locations to the submitted files
+    diagnostics: result.diagnostics,
+    targetLease: result.targetLease
+  };
   
-  if (!code) {
-    return res.status(400).json({ error: "Rust contract code is required" });
+  if (stopReason === JOB_STATUS.CANCELLED) {
+    updateJob(jobId, { ...finished, status: JOB_STATUS.CANCELLED, error: "Job cancelled" });
+    addJobLog(jobId, 'error', `${label} cancelled`);
+  } else if (result.stopReason === 'timeout') {
+    updateJob(jobId, {
+      ...finished,
+      status: JOB_STATUS.TIMED_OUT,
+      error: `${label} timed out after ${job.timeoutSeconds}s`
+    });
+  } else if (result.success) {
+    updateJob(jobId, {
+      ...finished,
+      status: JOB_STATUS.COMPLETED,
+      result: `${label} successful`,
+      artifacts: result.artifacts
+    });
+    addJobLog(jobId, 'success', `${label} completed successfully`);
+  } else {
+    const { limitExceeded } = result;
+    updateJob(jobId, {
+      ...finished,
+      status: JOB_STATUS.FAILED,
+      error: limitExceeded ? `${label} failed: ${limitExceeded.message}` : `${label} failed`,
+      limitExceeded
+    });
+    addJobLog(jobId, 'error', limitExceeded
+      ? `${label} failed: ${limitExceeded.message}`
+      : `${label} failed with exit code ${result.exitCode}`);
   }
+}
 
-  // Set up Server-Sent Events
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
-  });
+// ===== TYPE-CHECK ENDPOINTS =====
+// `cargo check` against the shared cache - the same structured diagnostics as a
+// full build without code generation, for editor feedback while typing
 
-  const sendEvent = (type, data) => {
-    res.write(`event: ${type}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
+const CHECK_TIMEOUT_MS = 120000; // 2 minute timeout
 
-  // Use persistent directories for caching
-  const baseDir = "/app/compile_cache";
-  const cargoHome = path.join(baseDir, "cargo_home");
-  const targetDir = path.join(baseDir, "target");
-  const tempDir = path.join(baseDir, "temp", `${contractName}_${Date.now()}`);
+app.post("/check", requireRole("compile"), limitCompiles({ sync: true }), async (req, res) => {
+  const { contractName = "temp_contract" } = req.body;
+  
+  const project = getCompileProject(req, res);
+  if (!project) return;
+  const { files, manifest } = project;
   
+  const compilation = compiler.compile({ type: 'check', contractName, files, manifest, timeoutMs: CHECK_TIMEOUT_MS, owner: getClientId(req) });
+  stopOnDisconnect(res, compilation);
+  
+  let result;
   try {
-    sendEvent('status', { message: 'Setting up compilation environment...', stage: 'setup' });
-    
-    // Ensure cache directories exist
-    fs.mkdirSync(baseDir, { recursive: true });
-    fs.mkdirSync(cargoHome, { recursive: true });
-    fs.mkdirSync(targetDir, { recursive: true });
-    fs.mkdirSync(tempDir, { recursive: true });
-    
-    sendEvent('status', { message: 'Creating project structure...', stage: 'project' });
-    
-    // Create optimized Cargo.toml for ink! contract with shared target
-    const cargoToml = `[package]
-name = "${contractName}"
-version = "6.0.0-alpha"
-authors = ["Use Ink <ink@use.ink>"]
-edition = "2021"
-publish = false
-
-[dependencies]
-ink = { version = "6.0.0-alpha", default-features = false, features = ["unstable-hostfn"] }
-
-[dev-dependencies]
-ink_e2e = { version = "6.0.0-alpha", default-features = false }
-
-[lib]
-path = "lib.rs"
-
-[features]
-default = ["std"]
-std = [
-    "ink/std",
-]
-ink-as-dependency = []
-e2e-tests = []
-
-[profile.dev]
-incremental = true
-codegen-units = 256
-
-[profile.release]
-incremental = true
-codegen-units = 16
-lto = "thin"
-`;
-    
-    fs.writeFileSync(path.join(tempDir, "Cargo.toml"), cargoToml);
-    fs.writeFileSync(path.join(tempDir, "lib.rs"), code);
-    
-    sendEvent('status', { message: 'Starting compilation...', stage: 'compile' });
-    
-    // Run optimized compilation with real-time streaming
-    const child = spawn('/root/.cargo/bin/pop', ['build'], {
-      cwd: tempDir,
-      env: {
-        ...process.env,
-        CARGO_HOME: cargoHome,
-        CARGO_TARGET_DIR: targetDir,
-        CARGO_INCREMENTAL: "1",
-        RUSTC_WRAPPER: "",
-        CARGO_BUILD_JOBS: "4",
-        PATH: '/root/.cargo/bin:' + process.env.PATH
-      },
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    
-    let stdout = '';
-    let stderr = '';
-    
-    child.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      sendEvent('stdout', { data: output, timestamp: new Date().toISOString() });
-    });
-    
-    child.stderr.on('data', (data) => {
-      const output = data.toString();
-      stderr += output;
-      sendEvent('stderr', { data: output, timestamp: new Date().toISOString() });
-    });
-    
-    child.on('error', (error) => {
-      console.error('Process spawn error:', error);
-      sendEvent('error', {
-        message: 'Failed to start compilation process',
-        details: error.message,
-        rustErrors: [],
-        logs: '',
-        timestamp: new Date().toISOString()
-      });
-      sendEvent('complete', { finished: true, exitCode: null });
-    });
-    
-    child.on('close', (code, signal) => {
-      console.log(`Process closed with code: ${code}, signal: ${signal}`);
-      console.log(`Stdout: ${stdout}`);
-      console.log(`Stderr: ${stderr}`);
-      
-      // Clean up temporary directory
-      try {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-      } catch (cleanupError) {
-        console.warn("Failed to cleanup temp directory:", cleanupError.message);
-      }
-      
-      if (code === 0) {
-        sendEvent('success', { 
-          message: 'Contract compiled successfully',
-          contractName,
-          logs: stdout,
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        const rustErrors = parseRustErrors(stderr);
-        sendEvent('error', { 
-          message: 'Compilation failed',
-          details: stderr || 'No error details captured',
-          rustErrors: rustErrors,
-          logs: stdout || 'No output captured',
-          exitCode: code,
-          signal: signal,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      sendEvent('complete', { finished: true, exitCode: code });
-      res.end();
-    });
-    
-    child.on('error', (error) => {
-      sendEvent('error', { 
-        message: 'Process error',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
-      res.end();
-    });
-    
-    // Handle client disconnect
-    req.on('close', () => {
-      if (!child.killed) {
-        child.kill();
-      }
-    });
-    
+    result = await compilation.run();
   } catch (setupError) {
-    sendEvent('error', { 
-      message: 'Failed to setup compilation environment',
-      details: setupError.message,
-      timestamp: new Date().toISOString()
+    return res.status(500).json({ 
+      error: "Failed to setup check environment", 
+      details: setupError.message 
+    });
+  }
+  
+  if (result.stopReason === 'disconnected') return;
+  if (result.stopReason === 'timeout') {
+    return res.status(504).json({ 
+      success: false,
+      error: `Check timed out after ${CHECK_TIMEOUT_MS / 1000}s`,
+      logs: result.stderr
     });
-    res.end();
   }
+  
+  res.status(result.success ? 200 : 400).json({
+    success: result.success,
+    contractName,
+    diagnostics: result.diagnostics,
+    summary: result.summary,
+    limitExceeded: result.limitExceeded,
+    duration_ms: result.durationMs,
+    logs: result.stderr
+  });
 });
 
-// Cache warming endpoint - pre-compile dependencies
-app.post("/warm-cache", async (req, res) => {
-  const baseDir = "/app/compile_cache";
-  const cargoHome = path.join(baseDir, "cargo_home");
-  const targetDir = path.join(baseDir, "target");
-  const warmupDir = path.join(baseDir, "warmup");
+// Submit a type-check job - poll it like a compile job at GET /compile-job/:jobId
+app.post("/check-job", requireRole("compile"), limitCompiles({ sync: false }), async (req, res) => {
+  const { contractName = "temp_contract" } = req.body;
   
-  try {
-    // Ensure cache directories exist
-    fs.mkdirSync(baseDir, { recursive: true });
-    fs.mkdirSync(cargoHome, { recursive: true });
-    fs.mkdirSync(targetDir, { recursive: true });
-    fs.mkdirSync(warmupDir, { recursive: true });
-    
-    // Create a minimal contract to warm up the cache
-    const warmupCargoToml = `[package]
-name = "warmup"
-version = "6.0.0-alpha"
-authors = ["Use Ink <ink@use.ink>"]
-edition = "2021"
-publish = false
-
-[dependencies]
-ink = { version = "6.0.0-alpha", default-features = false, features = ["unstable-hostfn"] }
-
-[lib]
-path = "lib.rs"
-
-[features]
-default = ["std"]
-std = ["ink/std"]
-
-[profile.dev]
-incremental = true
-codegen-units = 256
-`;
-    
-    const warmupCode = `#![cfg_attr(not(feature = "std"), no_std, no_main)]
+  const project = getCompileProject(req, res);
+  if (!project) return;
+  
+  const timeout = parseTimeout(req.body, res);
+  if (timeout === null) return;
+  
+  const job = createJob(contractName, project.files, {
+    type: 'check',
+    timeoutSeconds: timeout,
+    manifest: project.manifest,
+    owner: req.client.name,
+    clientId: req.clientId
+  });
+  
+  enqueueJob(job.id);
+  const queuePosition = getQueuePosition(job.id);
+  
+  res.json({
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    message: "Check job queued successfully",
+    created_at: job.createdAt,
+    queue_position: queuePosition,
+    estimated_wait_seconds: estimateWaitSeconds(queuePosition)
+  });
+});
+
+// ===== UNIT TEST ENDPOINTS =====
+// Builds and runs the contract's #[test] / #[ink::test] unit tests against the
+// shared cache and reports each test with its status, duration and output.
+// Test jobs in e2e mode run the ink_e2e suite (the e2e-tests feature) against
+// a local dev node that is started for the job and stopped afterwards.
 
-#[ink::contract]
-mod warmup {
-    #[ink(storage)]
-    pub struct Warmup { value: u32 }
+const TEST_TIMEOUT_MS = 300000; // 5 minute timeout
+const TEST_MODES = ['unit', 'e2e'];
+
+// Streaming test endpoint - build output and each test result as it finishes
+app.post("/test", requireRole("compile"), limitCompiles({ sync: true }), async (req, res) => {
+  const { contractName = "temp_contract", filter } = req.body;
+  
+  if (filter !== undefined && typeof filter !== 'string') {
+    return res.status(400).json({ error: "filter must be a string" });
+  }
+  
+  const project = getCompileProject(req, res);
+  if (!project) return;
+  const { files, manifest } = project;
+  
+  const compilation = compiler.compile({
+    type: 'test',
+    contractName,
+    files,
+    manifest,
+    timeoutMs: TEST_TIMEOUT_MS,
+    owner: getClientId(req),
+    tests: { filter }
+  });
+  const sendEvent = streamCompilation(res, compilation);
+  compilation.on('test', (result) => sendEvent('test', { ...result, timestamp: new Date().toISOString() }));
+  
+  try {
+    const result = await compilation.run();
+    if (result.stopReason === 'disconnected') return;
     
-    impl Warmup {
-        #[ink(constructor)]
-        pub fn new() -> Self { Self { value: 0 } }
-        
-        #[ink(message)]
-        pub fn get(&self) -> u32 { self.value }
+    const { diagnostics, limitExceeded, exitCode } = result;
+    const report = result.testReport;
+    if (result.stopReason === 'timeout') {
+      sendEvent('error', {
+        message: `Tests timed out after ${TEST_TIMEOUT_MS / 1000}s`,
+        tests: report.tests,
+        timestamp: new Date().toISOString()
+      });
+    } else if (limitExceeded) {
+      sendEvent('error', {
+        message: `Test run failed: ${limitExceeded.message}`,
+        limitExceeded,
+        tests: report.tests,
+        diagnostics,
+        exitCode,
+        timestamp: new Date().toISOString()
+      });
+    } else if (!report.built) {
+      sendEvent('error', {
+        message: 'Test build failed',
+        diagnostics,
+        summary: result.summary,
+        exitCode,
+        timestamp: new Date().toISOString()
+      });
+    } else if (result.success) {
+      sendEvent('success', {
+        message: 'All tests passed',
+        contractName,
+        tests: report.tests,
+        testSummary: report.summary,
+        diagnostics,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      sendEvent('error', {
+        message: report.summary.failed > 0 ? `${report.summary.failed} test(s) failed` : 'Test run failed',
+        tests: report.tests,
+        testSummary: report.summary,
+        diagnostics,
+        exitCode,
+        timestamp: new Date().toISOString()
+      });
     }
-}`;
+    sendEvent('complete', { finished: true, exitCode });
+  } catch (error) {
+    sendEvent('error', {
+      message: 'Failed to run tests',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  res.end();
+});
+
+// Submit a unit test job - poll it like a compile job at GET /compile-job/:jobId
+app.post("/test-job", requireRole("compile"), limitCompiles({ sync: false }), async (req, res) => {
+  const { contractName = "temp_contract", filter, mode = "unit" } = req.body;
+  
+  if (filter !== undefined && typeof filter !== 'string') {
+    return res.status(400).json({ error: "filter must be a string" });
+  }
+  if (!TEST_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of ${TEST_MODES.join(", ")}` });
+  }
+  
+  const project = getCompileProject(req, res);
+  if (!project) return;
+  
+  const timeout = parseTimeout(req.body, res);
+  if (timeout === null) return;
+  
+  const job = createJob(contractName, project.files, {
+    type: 'test',
+    timeoutSeconds: timeout,
+    testFilter: filter,
+    testMode: mode,
+    manifest: project.manifest,
+    owner: req.client.name,
+    clientId: req.clientId
+  });
+  
+  enqueueJob(job.id);
+  const queuePosition = getQueuePosition(job.id);
+  
+  res.json({
+    job_id: job.id,
+    type: job.type,
+    mode: job.testMode,
+    status: job.status,
+    message: "Test job queued successfully",
+    created_at: job.createdAt,
+    queue_position: queuePosition,
+    estimated_wait_seconds: estimateWaitSeconds(queuePosition)
+  });
+});
+
+// Local nodes of the running e2e test jobs, stopped on shutdown
+const testNodes = new Set();
+
+// Test job processor - each finished test is logged with its result as data
+async function processTestJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) return;
+  
+  const e2e = job.testMode === 'e2e';
+  const node = e2e ? new DevNode() : null;
+  if (node) testNodes.add(node);
+  const running = { child: null, stopReason: null };
+  runningProcesses.set(jobId, running);
+  
+  try {
+    updateJob(jobId, { 
+      status: JOB_STATUS.RUNNING, 
+      startedAt: new Date().toISOString() 
+    });
     
-    fs.writeFileSync(path.join(warmupDir, "Cargo.toml"), warmupCargoToml);
-    fs.writeFileSync(path.join(warmupDir, "lib.rs"), warmupCode);
+    addJobLog(jobId, 'info', 'Starting test run...');
     
-    const command = `cd ${warmupDir} && pop build`;
-    const env = {
-      ...process.env,
-      CARGO_HOME: cargoHome,
-      CARGO_TARGET_DIR: targetDir,
-      CARGO_INCREMENTAL: "1",
-      CARGO_BUILD_JOBS: "4"
-    };
+    // ink_e2e connects to the node in CONTRACTS_NODE_URL instead of spawning its own
+    const env = {};
+    if (e2e) {
+      addJobLog(jobId, 'info', 'Starting local node...');
+      await node.start();
+      env.CONTRACTS_NODE_URL = node.wsUrl;
+      addJobLog(jobId, 'info', `Local node running at ${node.wsUrl}`);
+    }
     
-    exec(command, { timeout: 600000, env: env }, (error, stdout, stderr) => {
-      if (error) {
-        return res.status(500).json({ 
-          success: false,
-          error: "Cache warming failed", 
-          details: stderr || error.message 
-        });
+    const compilation = compiler.compile({
+      type: 'test',
+      contractName: job.contractName,
+      files: job.files,
+      manifest: job.manifest,
+      timeoutMs: job.timeoutSeconds * 1000,
+      owner: job.clientId,
+      env,
+      tests: {
+        filter: job.testFilter || undefined,
+        features: e2e ? ['e2e-tests'] : [],
+        threads: e2e ? 1 : null, // e2e tests share the node and its dev accounts
+        network: e2e
       }
-      
-      res.json({ 
-        success: true, 
-        message: "Cache warmed successfully - subsequent compilations will be faster",
-        logs: stdout
-      });
+    });
+    compilation.on('status', ({ message }) => addJobLog(jobId, 'info', message));
+    compilation.on('stdout', (output) => addJobLog(jobId, 'stdout', output));
+    compilation.on('stderr', (output) => addJobLog(jobId, 'stderr', output));
+    compilation.on('test', (result) => addJobLog(jobId, 'test', `${result.name} ${result.status}`, result));
+    compilation.on('process', (child) => {
+      // The build and the test binary run one after the other
+      running.child = child;
+      if (running.stopReason) killProcessTree(child);
+    });
+    
+    const result = await compilation.run();
+    const report = result.testReport;
+    const { limitExceeded } = result;
+    updateJob(jobId, {
+      workDir: result.projectDir, // Maps error locations to the submitted files
+      diagnostics: result.diagnostics,
+      testReport: report.built ? { tests: report.tests, summary: report.summary } : null,
+      exitCode: result.exitCode,
+      limitExceeded,
+      targetLease: result.targetLease
     });
     
+    if (running.stopReason === JOB_STATUS.CANCELLED) {
+      updateJob(jobId, {
+        status: JOB_STATUS.CANCELLED,
+        completedAt: new Date().toISOString(),
+        error: "Job cancelled"
+      });
+      addJobLog(jobId, 'error', 'Test run cancelled');
+    } else if (result.stopReason === 'timeout') {
+      addJobLog(jobId, 'error', `Test run exceeded the ${job.timeoutSeconds}s timeout`);
+      updateJob(jobId, {
+        status: JOB_STATUS.TIMED_OUT,
+        completedAt: new Date().toISOString(),
+        error: `Test run timed out after ${job.timeoutSeconds}s`
+      });
+    } else if (limitExceeded) {
+      updateJob(jobId, {
+        status: JOB_STATUS.FAILED,
+        completedAt: new Date().toISOString(),
+        error: `Test run failed: ${limitExceeded.message}`
+      });
+      addJobLog(jobId, 'error', `Test run failed: ${limitExceeded.message}`);
+    } else if (!report.built) {
+      updateJob(jobId, {
+        status: JOB_STATUS.FAILED,
+        completedAt: new Date().toISOString(),
+        error: "Test build failed"
+      });
+      addJobLog(jobId, 'error', `Test build failed with exit code ${result.exitCode}`);
+    } else if (result.success) {
+      updateJob(jobId, {
+        status: JOB_STATUS.COMPLETED,
+        completedAt: new Date().toISOString(),
+        result: "Tests passed"
+      });
+      addJobLog(jobId, 'success', `${report.summary.passed} test(s) passed, ${report.summary.ignored} ignored`);
+    } else {
+      const error = report.summary.failed > 0 ? `${report.summary.failed} test(s) failed` : "Test run failed";
+      updateJob(jobId, {
+        status: JOB_STATUS.FAILED,
+        completedAt: new Date().toISOString(),
+        error
+      });
+      addJobLog(jobId, 'error', error);
+      if (node) addJobLog(jobId, 'node', node.logs.slice(-50).join('\n'));
+    }
   } catch (error) {
-    res.status(500).json({ 
-      error: "Failed to warm cache", 
-      details: error.message 
+    updateJob(jobId, {
+      status: JOB_STATUS.FAILED,
+      completedAt: new Date().toISOString(),
+      error: error.message
     });
+    addJobLog(jobId, 'error', `Test run error: ${error.message}`);
+  } finally {
+    runningProcesses.delete(jobId);
+    if (node) {
+      await node.stop();
+      testNodes.delete(node);
+    }
   }
-});
+}
 
-// Streaming cache warming endpoint - real-time output
-app.post("/warm-cache-stream", async (req, res) => {
-  // Set up Server-Sent Events
+// Server-sent events of a compilation: its status, stdout and stderr as they
+// come. Returns sendEvent for the route's own final events.
+function streamCompilation(res, compilation) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Connection': 'keep-alive'
   });
-
+  
   const sendEvent = (type, data) => {
     res.write(`event: ${type}\n`);
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
+  
+  compilation.on('status', (status) => sendEvent('status', status));
+  compilation.on('stdout', (data) => sendEvent('stdout', { data, timestamp: new Date().toISOString() }));
+  compilation.on('stderr', (data) => sendEvent('stderr', { data, timestamp: new Date().toISOString() }));
+  stopOnDisconnect(res, compilation);
+  return sendEvent;
+}
 
-  const baseDir = "/app/compile_cache";
-  const cargoHome = path.join(baseDir, "cargo_home");
-  const targetDir = path.join(baseDir, "target");
-  const warmupDir = path.join(baseDir, "warmup");
+// Streaming compile endpoint - real-time compilation output
+app.post("/compile-stream", requireRole("compile"), limitCompiles({ sync: true }), async (req, res) => {
+  const { contractName = "temp_contract", cache = true } = req.body;
+  
+  const project = getCompileProject(req, res);
+  if (!project) return;
+  const { files, manifest } = project;
+  
+  const compilation = compiler.compile({ contractName, files, manifest, cache, owner: getClientId(req) });
+  const sendEvent = streamCompilation(res, compilation);
   
   try {
-    sendEvent('status', { message: 'Setting up cache warming environment...', stage: 'setup' });
+    const result = await compilation.run();
+    if (result.stopReason === 'disconnected') return;
     
-    // Ensure cache directories exist
-    fs.mkdirSync(baseDir, { recursive: true });
-    fs.mkdirSync(cargoHome, { recursive: true });
-    fs.mkdirSync(targetDir, { recursive: true });
-    fs.mkdirSync(warmupDir, { recursive: true });
-    
-    sendEvent('status', { message: 'Creating warmup project...', stage: 'project' });
-    
-    // Create a minimal contract to warm up the cache
-    const warmupCargoToml = `[package]
-name = "warmup"
-version = "6.0.0-alpha"
-authors = ["Use Ink <ink@use.ink>"]
-edition = "2021"
-publish = false
-
-[dependencies]
-ink = { version = "6.0.0-alpha", default-features = false, features = ["unstable-hostfn"] }
-
-[lib]
-path = "lib.rs"
-
-[features]
-default = ["std"]
-std = ["ink/std"]
-
-[profile.dev]
-incremental = true
-codegen-units = 256
-`;
-    
-    const warmupCode = `#![cfg_attr(not(feature = "std"), no_std, no_main)]
-
-#[ink::contract]
-mod warmup {
-    #[ink(storage)]
-    pub struct Warmup { value: u32 }
-    
-    impl Warmup {
-        #[ink(constructor)]
-        pub fn new() -> Self { Self { value: 0 } }
-        
-        #[ink(message)]
-        pub fn get(&self) -> u32 { self.value }
+    const { artifacts, limitExceeded } = result;
+    if (result.success) {
+      sendEvent('success', { 
+        message: 'Contract compiled successfully',
+        contractName,
+        logs: result.stdout,
+        warnings: result.stderr,
+        diagnostics: result.diagnostics,
+        cacheHit: result.cacheHit,
+        cacheKey: result.cacheKey,
+        codeHash: artifacts ? artifacts.codeHash : null,
+        metadata: artifacts ? artifacts.metadata : null,
+        bytecode: artifacts ? artifacts.bytecode : null,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      let message = 'Compilation failed';
+      if (result.stopReason === 'timeout') {
+        message = `Compilation timed out after ${COMPILE_TIMEOUT_MS / 1000}s`;
+      } else if (limitExceeded) {
+        message = `Compilation failed: ${limitExceeded.message}`;
+      }
+      sendEvent('error', { 
+        message,
+        details: result.stderr || 'No error details captured',
+        rustErrors: result.rustErrors,
+        diagnostics: result.diagnostics,
+        summary: result.summary,
+        limitExceeded,
+        logs: result.stdout || 'No output captured',
+        exitCode: result.exitCode,
+        signal: result.signal,
+        timestamp: new Date().toISOString()
+      });
     }
-}`;
-    
-    fs.writeFileSync(path.join(warmupDir, "Cargo.toml"), warmupCargoToml);
-    fs.writeFileSync(path.join(warmupDir, "lib.rs"), warmupCode);
-    
-    sendEvent('status', { message: 'Starting cache warming compilation...', stage: 'compile' });
-    
-    const child = spawn('/root/.cargo/bin/pop', ['build'], {
-      cwd: warmupDir,
-      env: {
-        ...process.env,
-        CARGO_HOME: cargoHome,
-        CARGO_TARGET_DIR: targetDir,
-        CARGO_INCREMENTAL: "1",
-        CARGO_BUILD_JOBS: "4",
-        PATH: '/root/.cargo/bin:' + process.env.PATH
-      },
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    
-    let stdout = '';
-    let stderr = '';
-    
-    child.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      sendEvent('stdout', { data: output, timestamp: new Date().toISOString() });
+    sendEvent('complete', { finished: true, exitCode: result.exitCode });
+  } catch (setupError) {
+    sendEvent('error', { 
+      message: 'Failed to setup compilation environment',
+      details: setupError.message,
+      timestamp: new Date().toISOString()
     });
-    
-    child.stderr.on('data', (data) => {
-      const output = data.toString();
-      stderr += output;
-      sendEvent('stderr', { data: output, timestamp: new Date().toISOString() });
+  }
+  res.end();
+});
+
+// Manifest of a warm-up: the ink! version to warm (default: the default
+// version) must be allowlisted. Sends a 400 and returns null otherwise.
+function getWarmManifest(req, res) {
+  try {
+    return resolveManifestOptions({ inkVersion: req.body && req.body.inkVersion }, crateAllowlist);
+  } catch (error) {
+    if (!(error instanceof ManifestError)) throw error;
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+// Cache warming endpoint - pre-compile dependencies by building a minimal
+// contract as the server, with network (see Compiler#warm). Each ink! version
+// ({ inkVersion }) and toolchain has its own warm cache.
+app.post("/warm-cache", requireRole("admin"), async (req, res) => {
+  const manifest = getWarmManifest(req, res);
+  if (!manifest) return;
+  const warmCache = compiler.warmCache(manifest);
+  
+  let result;
+  try {
+    result = await compiler.warm({ manifest }).run();
+  } catch (error) {
+    return res.status(500).json({ 
+      error: "Failed to warm cache", 
+      details: error.message 
     });
-    
-    child.on('close', (code) => {
-      if (code === 0) {
-        sendEvent('success', { 
-          message: 'Cache warmed successfully - subsequent compilations will be faster',
-          logs: stdout,
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        sendEvent('error', { 
-          message: 'Cache warming failed',
-          details: stderr,
-          logs: stdout,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      sendEvent('complete', { finished: true, exitCode: code });
-      res.end();
+  }
+  
+  if (!result.success) {
+    return res.status(500).json({ 
+      success: false,
+      error: "Cache warming failed", 
+      details: result.stderr || (result.stopReason === 'timeout' ? "Cache warming timed out" : `pop build exited with ${result.exitCode}`)
     });
-    
-    child.on('error', (error) => {
+  }
+  
+  evictCaches();
+  res.json({ 
+    success: true, 
+    message: `Cache warmed successfully for ink! ${warmCache.inkVersion} - subsequent compilations will be faster`,
+    warm_cache: warmCache.key,
+    logs: result.stdout
+  });
+});
+
+// Streaming cache warming endpoint - real-time output
+app.post("/warm-cache-stream", requireRole("admin"), async (req, res) => {
+  const manifest = getWarmManifest(req, res);
+  if (!manifest) return;
+  const warmCache = compiler.warmCache(manifest);
+  const compilation = compiler.warm({ manifest });
+  const sendEvent = streamCompilation(res, compilation);
+  
+  try {
+    const result = await compilation.run();
+    if (result.stopReason === 'disconnected') return;
+    
+    if (result.success) {
+      evictCaches();
+      sendEvent('success', { 
+        message: `Cache warmed successfully for ink! ${warmCache.inkVersion} - subsequent compilations will be faster`,
+        warmCache: warmCache.key,
+        logs: result.stdout,
+        timestamp: new Date().toISOString()
+      });
+    } else {
       sendEvent('error', { 
-        message: 'Process error during cache warming',
-        details: error.message,
+        message: result.stopReason === 'timeout' ? 'Cache warming timed out' : 'Cache warming failed',
+        details: result.stderr,
+        logs: result.stdout,
         timestamp: new Date().toISOString()
       });
-      res.end();
-    });
-    
-    // Handle client disconnect
-    req.on('close', () => {
-      if (!child.killed) {
-        child.kill();
-      }
-    });
-    
+    }
+    sendEvent('complete', { finished: true, exitCode: result.exitCode });
   } catch (setupError) {
     sendEvent('error', { 
       message: 'Failed to setup cache warming environment',
       details: setupError.message,
       timestamp: new Date().toISOString()
     });
+  }
+  res.end();
+});
+
+// Dependencies and ink! versions compile requests may declare
+app.get("/allowed-dependencies", requireRole("compile"), (req, res) => {
+  res.json({
+    ink_versions: Object.keys(crateAllowlist.inkVersions),
+    crates: crateAllowlist.crates
+  });
+});
+
+// ===== LOCAL CHAIN ENDPOINTS =====
+// Named local dev nodes that deployments can target, see lib/chains.js
+
+const chains = new ChainManager(process.env.CHAINS_DIR || "/app/chains", {
+  maxRunning: parseInt(process.env.MAX_RUNNING_CHAINS || "3", 10)
+});
+
+async function formatChain(chain) {
+  const status = await chain.node.status();
+  return {
+    name: chain.name,
+    status: chain.status,
+    rpc_url: chain.node.running ? chain.node.rpcUrl : null,
+    ws_url: chain.node.running ? chain.node.wsUrl : null,
+    healthy: status.healthy,
+    block_height: status.blockHeight,
+    peers: status.peers,
+    created_at: chain.createdAt,
+    started_at: chain.node.running ? chain.node.startedAt : null,
+    error: chain.error || status.error || null
+  };
+}
+
+// Chain of the route's :name. Sends a 404 and returns null if there is none.
+function getChain(req, res) {
+  const chain = chains.get(req.params.name);
+  if (!chain) {
+    res.status(404).json({ error: `Chain ${req.params.name} not found` });
+    return null;
+  }
+  return chain;
+}
+
+// Running chain a deployment or call targets. Sends an error and returns null otherwise.
+function getTargetChain(name, res) {
+  const chain = chains.get(name);
+  if (!chain) {
+    res.status(404).json({ error: `Chain ${name} not found` });
+    return null;
+  }
+  if (chain.status !== CHAIN_STATUS.RUNNING) {
+    res.status(409).json({ error: `Chain ${name} is ${chain.status}` });
+    return null;
+  }
+  return chain;
+}
+
+// Start a chain and reply with its status
+async function startChain(name, res, status = 200) {
+  try {
+    const chain = await chains.start(name);
+    res.status(status).json(await formatChain(chain));
+  } catch (error) {
+    if (error instanceof ChainError) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: "Failed to start chain", details: error.message });
+  }
+}
+
+app.get("/chains", requireRole("deploy"), async (req, res) => {
+  res.json({
+    chains: await Promise.all(chains.list().map(formatChain)),
+    max_running: chains.maxRunning
+  });
+});
+
+// Launch a new chain - responds once its RPC server is up
+app.post("/chains", requireRole("deploy"), async (req, res) => {
+  const { name } = req.body;
+  
+  if (typeof name !== 'string' || !CHAIN_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ error: "name must be 1-32 lowercase letters, digits, - or _" });
+  }
+  if (chains.get(name)) {
+    return res.status(409).json({ error: `Chain ${name} already exists` });
+  }
+  
+  await startChain(name, res, 201);
+});
+
+app.get("/chains/:name", requireRole("deploy"), async (req, res) => {
+  const chain = getChain(req, res);
+  if (!chain) return;
+  
+  res.json(await formatChain(chain));
+});
+
+// Start a stopped chain again, keeping its state
+app.post("/chains/:name/start", requireRole("deploy"), async (req, res) => {
+  const chain = getChain(req, res);
+  if (!chain) return;
+  
+  await startChain(chain.name, res);
+});
+
+app.post("/chains/:name/stop", requireRole("deploy"), async (req, res) => {
+  const chain = getChain(req, res);
+  if (!chain) return;
+  
+  await chains.stop(chain.name);
+  res.json(await formatChain(chain));
+});
+
+// Restart the chain from genesis, dropping all blocks and deployed contracts
+app.post("/chains/:name/reset", requireRole("deploy"), async (req, res) => {
+  const chain = getChain(req, res);
+  if (!chain) return;
+  
+  if (chain.status === CHAIN_STATUS.STARTING || chain.status === CHAIN_STATUS.STOPPING) {
+    return res.status(409).json({ error: `Chain ${chain.name} is ${chain.status}` });
+  }
+  
+  try {
+    deployments.removeChain(chain.name);
+    await chains.reset(chain.name);
+    res.json(await formatChain(chain));
+  } catch (error) {
+    res.status(500).json({ error: "Failed to reset chain", details: error.message });
+  }
+});
+
+app.delete("/chains/:name", requireRole("deploy"), async (req, res) => {
+  const chain = getChain(req, res);
+  if (!chain) return;
+  
+  await chains.remove(chain.name);
+  deployments.removeChain(chain.name);
+  res.json({ name: chain.name, message: `Chain ${chain.name} removed` });
+});
+
+// Node output (streaming with ?stream=true)
+app.get("/chains/:name/logs", requireRole("deploy"), (req, res) => {
+  const chain = getChain(req, res);
+  if (!chain) return;
+  const { node } = chain;
+  
+  if (req.query.stream !== 'true') {
+    return res.json({ name: chain.name, status: chain.status, logs: node.logs });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const sendEvent = (type, data) => {
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  node.logs.forEach(line => sendEvent('log', { line }));
+  if (!node.running) {
+    sendEvent('exit', { name: chain.name, status: chain.status, ...node.exit });
+    return res.end();
+  }
+  
+  const onLog = (line) => sendEvent('log', { line, timestamp: new Date().toISOString() });
+  const onExit = (exit) => {
+    sendEvent('exit', { name: chain.name, ...exit });
     res.end();
+  };
+  node.on('log', onLog);
+  node.once('exit', onExit);
+  
+  res.on('close', () => {
+    node.off('log', onLog);
+    node.off('exit', onExit);
+  });
+});
+
+// ===== COMPILE RESULT CACHE ENDPOINTS =====
+
+function formatCacheEntry(entry) {
+  return {
+    hash: entry.hash,
+    contract_name: entry.contractName,
+    files: entry.files,
+    size: entry.size,
+    hits: entry.hits,
+    created_at: entry.createdAt,
+    last_hit_at: entry.lastHitAt
+  };
+}
+
+// List cached compile results
+app.get("/result-cache", requireRole("admin"), (req, res) => {
+  try {
+    const entries = resultCache.list();
+    res.json({
+      entries: entries.map(formatCacheEntry),
+      total: entries.length,
+      total_size: entries.reduce((sum, entry) => sum + entry.size, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to list result cache", details: error.message });
   }
 });
 
-// Cache status endpoint
-app.get("/cache-status", (req, res) => {
-  const baseDir = "/app/compile_cache";
-  const cargoHome = path.join(baseDir, "cargo_home");
-  const targetDir = path.join(baseDir, "target");
+// Inspect one cached result, including the stored build output
+app.get("/result-cache/:hash", requireRole("admin"), (req, res) => {
+  const { hash } = req.params;
+  let entry;
+  try {
+    entry = resultCache.read(hash);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  if (!entry) {
+    return res.status(404).json({ error: "Cache entry not found" });
+  }
   
+  const artifacts = readArtifacts(entry.dir, entry.contractName);
+  if (!artifacts) {
+    return res.status(404).json({ error: "Cache entry has no artifacts" });
+  }
+  
+  res.json({
+    ...formatCacheEntry(entry),
+    code_hash: artifacts.codeHash,
+    logs: entry.logs,
+    warnings: entry.warnings
+  });
+});
+
+// Purge one cached result
+app.delete("/result-cache/:hash", requireRole("admin"), (req, res) => {
   try {
-    const cacheExists = fs.existsSync(baseDir);
-    const cargoHomeExists = fs.existsSync(cargoHome);
-    const targetDirExists = fs.existsSync(targetDir);
-    
-    let cacheSize = 0;
-    if (cacheExists) {
-      try {
-        const { execSync } = require('child_process');
-        const sizeOutput = execSync(`du -sh ${baseDir}`, { encoding: 'utf8' });
-        cacheSize = sizeOutput.split('\t')[0];
-      } catch (e) {
-        cacheSize = "unknown";
-      }
+    if (!resultCache.delete(req.params.hash)) {
+      return res.status(404).json({ error: "Cache entry not found" });
     }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ success: true, message: `Cache entry ${req.params.hash} purged` });
+});
+
+// Purge the whole result cache
+app.delete("/result-cache", requireRole("admin"), (req, res) => {
+  try {
+    const purged = resultCache.purge();
+    res.json({ success: true, message: `Purged ${purged} cache entries`, purged });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to purge result cache", details: error.message });
+  }
+});
+
+// ===== BUILD CACHE ENDPOINTS =====
+// Disk usage of the cargo registry and git checkouts, the target dirs and the
+// result cache, with eviction under the size budget and purging, see
+// lib/cache-manager.js
+
+function formatWarmCache(warm) {
+  return {
+    key: warm.key,
+    ink_version: warm.inkVersion,
+    toolchain: warm.toolchain,
+    size: warm.bytes,
+    warmed_at: warm.warmedAt,
+    warming: warm.warming,
+    stale: warm.stale
+  };
+}
+
+function formatTargetDir(slot) {
+  return {
+    slot: slot.slot,
+    leased: slot.leased,
+    warm_cache: slot.warmCache,
+    size: slot.bytes,
+    last_used_at: slot.lastUsedAt
+  };
+}
+
+function formatEviction(entry) {
+  return { kind: entry.kind, id: entry.id, size: entry.bytes, stale: entry.stale };
+}
+
+function sendCacheError(res, error, message) {
+  if (error instanceof CacheError) {
+    return res.status(409).json({ error: error.message });
+  }
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// Cache usage by category, with the warm cache of each allowed ink! version
+app.get("/cache", requireRole("admin"), async (req, res) => {
+  try {
+    const usage = await cacheManager.recentUsage();
+    const warmCaches = new Map(usage.target.warmCaches.map(warm => [warm.key, warm]));
+    res.json({
+      total_size: usage.totalBytes,
+      budget: usage.budgetBytes,
+      measured_at: usage.measuredAt,
+      registry: { size: usage.registry.bytes },
+      git: { size: usage.git.bytes },
+      target: {
+        size: usage.target.bytes,
+        warm_caches: usage.target.warmCaches.map(formatWarmCache),
+        target_dirs: usage.target.targetDirs.map(formatTargetDir)
+      },
+      results: { size: usage.results.bytes, entries: usage.results.entries.length },
+      ink_versions: Object.keys(crateAllowlist.inkVersions).map(inkVersion => {
+        const { key } = compiler.warmCache({ inkVersion });
+        const warm = warmCaches.get(key);
+        return { ink_version: inkVersion, warm_cache: key, warmed: Boolean(warm && warm.warmedAt) };
+      })
+    });
+  } catch (error) {
+    sendCacheError(res, error, "Failed to read cache usage");
+  }
+});
+
+// Evict stale entries, then the least recently used ones until the caches
+// fit the budget (or { budgetMb } for this run)
+app.post("/cache/evict", requireRole("admin"), async (req, res) => {
+  const { budgetMb } = req.body || {};
+  if (budgetMb !== undefined && !(Number.isFinite(budgetMb) && budgetMb >= 0)) {
+    return res.status(400).json({ error: "budgetMb must be a non-negative number" });
+  }
+  
+  try {
+    const result = await cacheManager.evict(budgetMb === undefined ? undefined : Math.floor(budgetMb * 1024 * 1024));
+    res.json({
+      success: true,
+      budget: result.budgetBytes,
+      size_before: result.totalBytesBefore,
+      size_after: result.totalBytes,
+      evicted: result.evicted.map(formatEviction)
+    });
+  } catch (error) {
+    sendCacheError(res, error, "Failed to evict caches");
+  }
+});
+
+// Purge one category: registry, git, target or results. The registry and git
+// checkouts can only be purged while no build runs.
+app.delete("/cache/:category", requireRole("admin"), async (req, res) => {
+  let purge;
+  try {
+    purge = cacheManager.purge(req.params.category);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const result = await purge;
+    res.json({
+      success: true,
+      message: `Purged the ${result.category} cache`,
+      freed: result.freedBytes,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    sendCacheError(res, error, `Failed to purge the ${req.params.category} cache`);
+  }
+});
+
+// Rate limit and concurrency usage of the calling client (admins: ?all=true)
+app.get("/usage", requireRole("compile"), (req, res) => {
+  if (req.query.all === "true") {
+    if (!auth.hasRole(req.client, "admin")) {
+      return res.status(403).json({ error: "Only admins can see the usage of all clients" });
+    }
+    const clientIds = new Set([
+      ...compileLimiter.clients(),
+      ...activeSyncCompiles.keys(),
+      ...jobStore.list().filter(job => job.clientId && !isJobFinished(job)).map(job => job.clientId)
+    ]);
+    return res.json({ clients: Array.from(clientIds).map(getClientUsage) });
+  }
+  
+  res.json(getClientUsage(getClientId(req)));
+});
+
+// Cache status endpoint (admins get the breakdown from GET /cache)
+app.get("/cache-status", requireRole("compile"), async (req, res) => {
+  const baseDir = compiler.baseDir;
+  
+  try {
+    const cacheExists = fs.existsSync(baseDir);
+    const usage = await cacheManager.recentUsage();
     
     res.json({
       cacheEnabled: true,
       cacheExists,
-      cargoHomeExists,
-      targetDirExists,
-      cacheSize,
+      cargoHomeExists: fs.existsSync(compiler.cargoHome),
+      targetDirExists: fs.existsSync(compiler.targets.dir),
+      cacheSize: formatBytes(usage.totalBytes),
+      cacheBudget: formatBytes(usage.budgetBytes),
       cachePath: baseDir,
+      warmCaches: usage.target.warmCaches
+        .filter(warm => warm.warmedAt && !warm.stale)
+        .map(warm => warm.inkVersion),
+      targetPool: compiler.targets.describe(),
       status: cacheExists ? "ready" : "not-initialized"
     });
   } catch (error) {
@@ -1099,23 +2459,47 @@ app.get("/cache-status", (req, res) => {
 
 // Health check endpoint
 app.get("/health", (req, res) => {
-  res.json({ status: "OK", timestamp: new Date().toISOString() });
+  res.json({ status: "OK", timestamp: new Date().toISOString(), sandbox: sandbox.describe() });
+});
+
+// Recorded deployments, newest first (?contract=&chain=&address=&limit=)
+app.get("/deployments", requireRole("deploy"), (req, res) => {
+  const { contract, chain, address } = req.query;
+  const limit = parseInt(req.query.limit || "100", 10);
+  
+  if (!(limit >= 1 && limit <= 1000)) {
+    return res.status(400).json({ error: "limit must be between 1 and 1000" });
+  }
+  
+  const matching = deployments.list({ contract, chain, address });
+  res.json({
+    deployments: matching.slice(0, limit).map(formatDeployment),
+    total: matching.length
+  });
 });
 
 // List contracts endpoint
-app.get("/contracts", (req, res) => {
+app.get("/contracts", requireRole("deploy"), (req, res) => {
   try {
-    const contracts = fs.readdirSync(".")
-      .filter(item => fs.statSync(item).isDirectory() && item !== "node_modules")
+    const contracts = fs.readdirSync(popRunner.root)
+      .filter(item => fs.statSync(path.join(popRunner.root, item)).isDirectory() && item !== "node_modules")
       .map(contractName => {
-        const hasTarget = fs.existsSync(path.join(contractName, "target"));
-        const hasCargoToml = fs.existsSync(path.join(contractName, "Cargo.toml"));
+        const hasTarget = fs.existsSync(path.join(popRunner.root, contractName, "target"));
+        const hasCargoToml = fs.existsSync(path.join(popRunner.root, contractName, "Cargo.toml"));
+        const latestDeployment = deployments.latest(contractName);
         
         return {
           name: contractName,
           isContract: hasCargoToml,
           isBuilt: hasTarget,
-          status: hasTarget ? "built" : hasCargoToml ? "created" : "unknown"
+          status: latestDeployment ? "deployed" : hasTarget ? "built" : hasCargoToml ? "created" : "unknown",
+          latestDeployment: latestDeployment && {
+            address: latestDeployment.address,
+            codeHash: latestDeployment.codeHash,
+            chain: latestDeployment.chain,
+            url: latestDeployment.url,
+            deployedAt: latestDeployment.deployedAt
+          }
         };
       })
       .filter(contract => contract.isContract);
@@ -1126,25 +2510,92 @@ app.get("/contracts", (req, res) => {
   }
 });
 
+// Normalized ABI of a built contract: constructors, messages, events, the
+// contract's own types and its storage layout, see lib/abi.js
+app.get("/contracts/:name/abi", requireRole("deploy"), (req, res) => {
+  const { name } = req.params;
+  
+  const contractDir = getContractDir(name, res);
+  if (!contractDir) return;
+  if (!fs.existsSync(path.join(contractDir, "Cargo.toml"))) {
+    return res.status(404).json({ error: `Contract ${name} not found` });
+  }
+  
+  try {
+    const metadata = loadContractMetadata(name);
+    if (!metadata) {
+      return res.status(404).json({ 
+        error: `Contract ${name} has no metadata yet. Use /build endpoint first.` 
+      });
+    }
+    res.json(normalizeAbi(metadata));
+  } catch (error) {
+    const status = error instanceof AbiError ? 422 : 500;
+    res.status(status).json({ error: "Failed to read contract metadata", details: error.message });
+  }
+});
+
+recoverJobs();
+sweepJobs();
+setInterval(sweepJobs, JOB_SWEEP_INTERVAL_MS).unref();
+setInterval(evictCaches, CACHE_EVICT_INTERVAL_MS).unref();
+
+// Write pending job updates and stop local chains and test nodes before the
+// container stops
+["SIGTERM", "SIGINT"].forEach(signal => {
+  process.on(signal, () => {
+    jobStore.flush();
+    Promise.all([chains.stopAll(), ...Array.from(testNodes, node => node.stop())])
+      .finally(() => process.exit(0));
+  });
+});
+
 app.listen(3000, () => {
   console.log("Server running on port 3000");
+  compiler.ensureDirs();
+  if (process.env.AUTH_DISABLED === "true") {
+    console.warn("⚠️  Authentication is disabled (AUTH_DISABLED=true)");
+  } else if (!process.env.API_KEYS_FILE) {
+    console.warn("⚠️  No API_KEYS_FILE configured - all requests except /health will be rejected");
+  }
+  console.log("All endpoints except /health need an API key (Authorization: Bearer <key>)");
   console.log("Available endpoints:");
   console.log("  POST /new-contract - Create a new contract");
-  console.log("  POST /build - Build a contract");
-  console.log("  POST /deploy - Deploy a built contract");
+  console.log("  POST /build - Submit a build job for a contract (poll GET /jobs/:jobId)");
+  console.log("  POST /deploy - Submit a deployment job for a built contract (poll GET /jobs/:jobId)");
+  console.log("  POST /call - Dry-run or submit a message call to a deployed contract");
   console.log("  POST /compile - Compile Rust contract code (OPTIMIZED)");
   console.log("  POST /compile-stream - Compile with REAL-TIME streaming output");
+  console.log("  POST /check - Type-check contract code without a full build (fast diagnostics)");
+  console.log("  POST /check-job - Submit a type-check job (poll GET /compile-job/:jobId)");
+  console.log("  POST /test - Run the contract's unit tests with per-test streaming results");
+  console.log("  POST /test-job - Submit a unit or e2e (mode: \"e2e\") test job (poll GET /compile-job/:jobId)");
   console.log("");
   console.log("  🆕 JOB QUEUE COMPILATION (RECOMMENDED):");
   console.log("  POST /compile-job - Submit compilation job (returns job_id)");
   console.log("  GET /compile-job/:jobId - Get job status and results");
   console.log("  GET /compile-job/:jobId/logs - Get job logs (add ?stream=true for real-time)");
-  console.log("  GET /compile-jobs - List all compilation jobs");
+  console.log("  DELETE /compile-job/:jobId - Cancel a queued or running job");
+  console.log("  GET /compile-job/:jobId/artifacts/:name - Download a compiled artifact");
+  console.log("  GET /compile-jobs - List jobs of every type (?type=&status=&contract=&sort=&order=&page=&limit=)");
+  console.log("  GET /jobs, /jobs/:jobId[/logs|/artifacts/:name] - The same for any API key (build and deploy jobs)");
   console.log("");
-  console.log("  POST /warm-cache - Pre-compile dependencies for faster builds");
+  console.log("  POST /warm-cache - Pre-compile dependencies for faster builds (per ink! version: { inkVersion })");
   console.log("  POST /warm-cache-stream - Warm cache with REAL-TIME streaming output");
+  console.log("  GET /allowed-dependencies - Crates and ink! versions compile requests may use");
   console.log("  GET /cache-status - Check compilation cache status");
-  console.log("  GET /contracts - List all contracts");
+  console.log("  GET /usage - Rate limit and concurrent compilation usage");
+  console.log("  GET /result-cache - List cached compile results (DELETE to purge, /:hash to inspect)");
+  console.log("  GET /cache - Cache usage by registry, git, target and results (admin)");
+  console.log("  POST /cache/evict - Evict stale and old cache entries under the size budget ({ budgetMb })");
+  console.log("  DELETE /cache/:category - Purge the registry, git, target or results cache");
+  console.log("  GET /contracts - List all contracts with their latest deployment");
+  console.log("  GET /contracts/:name/abi - Constructors, messages, events and storage layout of a built contract");
+  console.log("  GET /deployments - Recorded deployments (?contract=&chain=&address=)");
+  console.log("  GET /chains - List local chains (POST to launch one with { name })");
+  console.log("  GET /chains/:name - Chain status, RPC URL and block height");
+  console.log("  POST /chains/:name/start|stop|reset - Control a local chain (DELETE to remove it)");
+  console.log("  GET /chains/:name/logs - Node output (add ?stream=true for real-time)");
   console.log("  GET /health - Health check");
   console.log("");
   console.log("💡 TIP: Use JOB QUEUE endpoints for reliable compilation!");